@@ -0,0 +1,8 @@
+-- AlterEnum
+ALTER TYPE "TokenPurpose" ADD VALUE 'EMAIL_VERIFICATION';
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "emailVerifiedAt" TIMESTAMP(3);
+
+-- Existing accounts predate verification; treat them as verified so they are not locked out.
+UPDATE "User" SET "emailVerifiedAt" = "createdAt";
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "failedLoginAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lastFailedLoginAt" TIMESTAMP(3),
+ADD COLUMN     "lockedUntil" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "LoginLog" ADD COLUMN     "email" TEXT,
+ADD COLUMN     "success" BOOLEAN NOT NULL DEFAULT true,
+ALTER COLUMN "userId" DROP NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "LoginLog_ipAddress_success_loginAt_idx" ON "LoginLog"("ipAddress", "success", "loginAt");
@@ -0,0 +1,25 @@
+/*
+  Warnings:
+
+  - The `role` column on the `User` table is replaced by the `roles` array. Existing values are copied over before the column is dropped.
+
+*/
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "roles" "Role"[] DEFAULT ARRAY['AUTHOR']::"Role"[];
+
+-- AlterTable
+ALTER TABLE "Feedback" ADD COLUMN     "senderRole" "Role";
+
+-- AlterTable
+ALTER TABLE "Session" ADD COLUMN     "activeRole" "Role";
+
+-- Copy the single role into the new columns
+UPDATE "User" SET "roles" = ARRAY["role"];
+UPDATE "Feedback" f SET "senderRole" = u."role" FROM "User" u WHERE u."id" = f."senderId";
+UPDATE "Session" s SET "activeRole" = u."role" FROM "User" u WHERE u."id" = s."userId";
+
+-- AlterTable
+ALTER TABLE "Session" ALTER COLUMN "activeRole" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "User" DROP COLUMN "role";
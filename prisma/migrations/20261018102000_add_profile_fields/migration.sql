@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "country" TEXT,
+ADD COLUMN     "orcid" TEXT,
+ADD COLUMN     "phone" TEXT;
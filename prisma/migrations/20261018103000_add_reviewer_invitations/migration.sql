@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "InvitationStatus" AS ENUM ('PENDING', 'ACCEPTED', 'DECLINED', 'REVOKED');
+
+-- CreateTable
+CREATE TABLE "ReviewerInvitation" (
+    "id" SERIAL NOT NULL,
+    "email" TEXT NOT NULL,
+    "firstName" TEXT NOT NULL,
+    "middleName" TEXT,
+    "lastName" TEXT NOT NULL,
+    "affiliation" TEXT,
+    "status" "InvitationStatus" NOT NULL DEFAULT 'PENDING',
+    "tokenHash" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "declineReason" TEXT,
+    "sentCount" INTEGER NOT NULL DEFAULT 1,
+    "lastSentAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "respondedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "invitedById" INTEGER,
+    "userId" INTEGER,
+
+    CONSTRAINT "ReviewerInvitation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReviewerInvitation_tokenHash_key" ON "ReviewerInvitation"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "ReviewerInvitation_email_idx" ON "ReviewerInvitation"("email");
+
+-- AddForeignKey
+ALTER TABLE "ReviewerInvitation" ADD CONSTRAINT "ReviewerInvitation_invitedById_fkey" FOREIGN KEY ("invitedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReviewerInvitation" ADD CONSTRAINT "ReviewerInvitation_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
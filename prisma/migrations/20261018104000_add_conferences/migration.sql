@@ -0,0 +1,64 @@
+-- CreateTable
+CREATE TABLE "Conference" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "description" TEXT,
+    "venue" TEXT,
+    "startDate" TIMESTAMP(3),
+    "endDate" TIMESTAMP(3),
+    "archivedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Conference_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ConferenceReviewer" (
+    "id" SERIAL NOT NULL,
+    "conferenceId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "addedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ConferenceReviewer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Conference_slug_key" ON "Conference"("slug");
+
+-- CreateIndex
+CREATE INDEX "ConferenceReviewer_userId_idx" ON "ConferenceReviewer"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ConferenceReviewer_conferenceId_userId_key" ON "ConferenceReviewer"("conferenceId", "userId");
+
+-- Existing data belongs to the edition that was running before editions existed
+INSERT INTO "Conference" ("name", "slug") VALUES ('ICISCT', 'icisct');
+
+INSERT INTO "ConferenceReviewer" ("conferenceId", "userId")
+SELECT c."id", u."id" FROM "Conference" c, "User" u
+WHERE c."slug" = 'icisct' AND 'REVIEWER' = ANY(u."roles");
+
+-- AlterTable
+ALTER TABLE "Paper" ADD COLUMN "conferenceId" INTEGER;
+
+UPDATE "Paper" SET "conferenceId" = (SELECT "id" FROM "Conference" WHERE "slug" = 'icisct');
+
+ALTER TABLE "Paper" ALTER COLUMN "conferenceId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "ReviewerInvitation" ADD COLUMN "conferenceId" INTEGER;
+
+UPDATE "ReviewerInvitation" SET "conferenceId" = (SELECT "id" FROM "Conference" WHERE "slug" = 'icisct');
+
+-- AddForeignKey
+ALTER TABLE "Paper" ADD CONSTRAINT "Paper_conferenceId_fkey" FOREIGN KEY ("conferenceId") REFERENCES "Conference"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReviewerInvitation" ADD CONSTRAINT "ReviewerInvitation_conferenceId_fkey" FOREIGN KEY ("conferenceId") REFERENCES "Conference"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ConferenceReviewer" ADD CONSTRAINT "ConferenceReviewer_conferenceId_fkey" FOREIGN KEY ("conferenceId") REFERENCES "Conference"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ConferenceReviewer" ADD CONSTRAINT "ConferenceReviewer_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,44 @@
+-- CreateEnum
+CREATE TYPE "PhaseType" AS ENUM ('SUBMISSION', 'REVIEW', 'REVISION', 'CAMERA_READY', 'REGISTRATION');
+
+-- AlterTable
+ALTER TABLE "Conference" ADD COLUMN     "timezone" TEXT NOT NULL DEFAULT 'UTC';
+
+-- CreateTable
+CREATE TABLE "ConferencePhase" (
+    "id" SERIAL NOT NULL,
+    "conferenceId" INTEGER NOT NULL,
+    "phase" "PhaseType" NOT NULL,
+    "opensAt" TIMESTAMP(3),
+    "closesAt" TIMESTAMP(3),
+
+    CONSTRAINT "ConferencePhase_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PaperDeadlineExtension" (
+    "id" SERIAL NOT NULL,
+    "paperId" INTEGER NOT NULL,
+    "phase" "PhaseType" NOT NULL,
+    "extendedUntil" TIMESTAMP(3) NOT NULL,
+    "reason" TEXT,
+    "grantedById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PaperDeadlineExtension_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ConferencePhase_conferenceId_phase_key" ON "ConferencePhase"("conferenceId", "phase");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PaperDeadlineExtension_paperId_phase_key" ON "PaperDeadlineExtension"("paperId", "phase");
+
+-- AddForeignKey
+ALTER TABLE "ConferencePhase" ADD CONSTRAINT "ConferencePhase_conferenceId_fkey" FOREIGN KEY ("conferenceId") REFERENCES "Conference"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaperDeadlineExtension" ADD CONSTRAINT "PaperDeadlineExtension_paperId_fkey" FOREIGN KEY ("paperId") REFERENCES "Paper"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaperDeadlineExtension" ADD CONSTRAINT "PaperDeadlineExtension_grantedById_fkey" FOREIGN KEY ("grantedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,57 @@
+-- AlterTable
+ALTER TABLE "Paper" ADD COLUMN     "trackId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "Track" (
+    "id" SERIAL NOT NULL,
+    "conferenceId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Track_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "TopicArea" (
+    "id" SERIAL NOT NULL,
+    "conferenceId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TopicArea_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PaperTopic" (
+    "paperId" INTEGER NOT NULL,
+    "topicAreaId" INTEGER NOT NULL,
+
+    CONSTRAINT "PaperTopic_pkey" PRIMARY KEY ("paperId","topicAreaId")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Track_conferenceId_name_key" ON "Track"("conferenceId", "name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TopicArea_conferenceId_name_key" ON "TopicArea"("conferenceId", "name");
+
+-- CreateIndex
+CREATE INDEX "PaperTopic_topicAreaId_idx" ON "PaperTopic"("topicAreaId");
+
+-- AddForeignKey
+ALTER TABLE "Paper" ADD CONSTRAINT "Paper_trackId_fkey" FOREIGN KEY ("trackId") REFERENCES "Track"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Track" ADD CONSTRAINT "Track_conferenceId_fkey" FOREIGN KEY ("conferenceId") REFERENCES "Conference"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TopicArea" ADD CONSTRAINT "TopicArea_conferenceId_fkey" FOREIGN KEY ("conferenceId") REFERENCES "Conference"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaperTopic" ADD CONSTRAINT "PaperTopic_paperId_fkey" FOREIGN KEY ("paperId") REFERENCES "Paper"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaperTopic" ADD CONSTRAINT "PaperTopic_topicAreaId_fkey" FOREIGN KEY ("topicAreaId") REFERENCES "TopicArea"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
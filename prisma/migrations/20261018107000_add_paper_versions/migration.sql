@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "PaperVersion" (
+    "id" SERIAL NOT NULL,
+    "paperId" INTEGER NOT NULL,
+    "round" INTEGER NOT NULL,
+    "fileUrl" TEXT NOT NULL,
+    "changeNote" TEXT,
+    "uploadedById" INTEGER,
+    "uploadedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PaperVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PaperVersion_paperId_round_key" ON "PaperVersion"("paperId", "round");
+
+-- AddForeignKey
+ALTER TABLE "PaperVersion" ADD CONSTRAINT "PaperVersion_paperId_fkey" FOREIGN KEY ("paperId") REFERENCES "Paper"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaperVersion" ADD CONSTRAINT "PaperVersion_uploadedById_fkey" FOREIGN KEY ("uploadedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Earlier files were overwritten on resubmission, so only the current file can be recorded
+INSERT INTO "PaperVersion" ("paperId", "round", "fileUrl", "uploadedById", "uploadedAt")
+SELECT "id", 1, "fileUrl", "authorId", "submittedAt" FROM "Paper";
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "PaperChangeLog" (
+    "id" SERIAL NOT NULL,
+    "paperId" INTEGER NOT NULL,
+    "changedById" INTEGER,
+    "field" TEXT NOT NULL,
+    "oldValue" JSONB,
+    "newValue" JSONB,
+    "changedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PaperChangeLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PaperChangeLog_paperId_changedAt_idx" ON "PaperChangeLog"("paperId", "changedAt");
+
+-- AddForeignKey
+ALTER TABLE "PaperChangeLog" ADD CONSTRAINT "PaperChangeLog_paperId_fkey" FOREIGN KEY ("paperId") REFERENCES "Paper"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaperChangeLog" ADD CONSTRAINT "PaperChangeLog_changedById_fkey" FOREIGN KEY ("changedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
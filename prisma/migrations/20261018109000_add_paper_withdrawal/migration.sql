@@ -0,0 +1,6 @@
+-- AlterEnum
+ALTER TYPE "PaperStatus" ADD VALUE 'WITHDRAWN';
+
+-- AlterTable
+ALTER TABLE "Paper" ADD COLUMN     "withdrawalReason" TEXT,
+ADD COLUMN     "withdrawnAt" TIMESTAMP(3);
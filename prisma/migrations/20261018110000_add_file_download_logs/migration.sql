@@ -0,0 +1,29 @@
+-- CreateEnum
+CREATE TYPE "PaperFileType" AS ENUM ('MANUSCRIPT', 'CAMERA_READY');
+
+-- CreateEnum
+CREATE TYPE "DownloadMethod" AS ENUM ('DIRECT', 'SIGNED_LINK');
+
+-- CreateTable
+CREATE TABLE "FileDownloadLog" (
+    "id" SERIAL NOT NULL,
+    "paperId" INTEGER NOT NULL,
+    "userId" INTEGER,
+    "file" "PaperFileType" NOT NULL,
+    "round" INTEGER,
+    "method" "DownloadMethod" NOT NULL,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "downloadedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FileDownloadLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FileDownloadLog_paperId_idx" ON "FileDownloadLog"("paperId");
+
+-- AddForeignKey
+ALTER TABLE "FileDownloadLog" ADD CONSTRAINT "FileDownloadLog_paperId_fkey" FOREIGN KEY ("paperId") REFERENCES "Paper"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FileDownloadLog" ADD CONSTRAINT "FileDownloadLog_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
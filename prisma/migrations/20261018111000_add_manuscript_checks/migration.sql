@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Track" ADD COLUMN     "isDoubleBlind" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "maxPages" INTEGER;
+
+-- AlterTable
+ALTER TABLE "PaperVersion" ADD COLUMN     "pageCount" INTEGER,
+ADD COLUMN     "warnings" JSONB;
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "PaperSimilarity" (
+    "id" SERIAL NOT NULL,
+    "paperId" INTEGER NOT NULL,
+    "similarPaperId" INTEGER NOT NULL,
+    "score" DOUBLE PRECISION NOT NULL,
+    "titleScore" DOUBLE PRECISION,
+    "abstractScore" DOUBLE PRECISION,
+    "keywordsScore" DOUBLE PRECISION,
+    "detectedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PaperSimilarity_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PaperSimilarity_similarPaperId_idx" ON "PaperSimilarity"("similarPaperId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PaperSimilarity_paperId_similarPaperId_key" ON "PaperSimilarity"("paperId", "similarPaperId");
+
+-- AddForeignKey
+ALTER TABLE "PaperSimilarity" ADD CONSTRAINT "PaperSimilarity_paperId_fkey" FOREIGN KEY ("paperId") REFERENCES "Paper"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaperSimilarity" ADD CONSTRAINT "PaperSimilarity_similarPaperId_fkey" FOREIGN KEY ("similarPaperId") REFERENCES "Paper"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,61 @@
+-- CreateEnum
+CREATE TYPE "CriterionType" AS ENUM ('SCORE', 'CONFIDENCE', 'TEXT');
+
+-- AlterTable
+ALTER TABLE "Review" ADD COLUMN     "confidence" DOUBLE PRECISION,
+ADD COLUMN     "totalScore" DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "ReviewForm" (
+    "id" SERIAL NOT NULL,
+    "trackId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ReviewForm_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ReviewCriterion" (
+    "id" SERIAL NOT NULL,
+    "formId" INTEGER NOT NULL,
+    "label" TEXT NOT NULL,
+    "description" TEXT,
+    "type" "CriterionType" NOT NULL,
+    "minScore" INTEGER,
+    "maxScore" INTEGER,
+    "weight" DOUBLE PRECISION NOT NULL DEFAULT 1,
+    "required" BOOLEAN NOT NULL DEFAULT true,
+    "position" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "ReviewCriterion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ReviewAnswer" (
+    "id" SERIAL NOT NULL,
+    "reviewId" INTEGER NOT NULL,
+    "criterionId" INTEGER NOT NULL,
+    "score" INTEGER,
+    "text" TEXT,
+
+    CONSTRAINT "ReviewAnswer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReviewForm_trackId_key" ON "ReviewForm"("trackId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReviewAnswer_reviewId_criterionId_key" ON "ReviewAnswer"("reviewId", "criterionId");
+
+-- AddForeignKey
+ALTER TABLE "ReviewForm" ADD CONSTRAINT "ReviewForm_trackId_fkey" FOREIGN KEY ("trackId") REFERENCES "Track"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReviewCriterion" ADD CONSTRAINT "ReviewCriterion_formId_fkey" FOREIGN KEY ("formId") REFERENCES "ReviewForm"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReviewAnswer" ADD CONSTRAINT "ReviewAnswer_reviewId_fkey" FOREIGN KEY ("reviewId") REFERENCES "Review"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReviewAnswer" ADD CONSTRAINT "ReviewAnswer_criterionId_fkey" FOREIGN KEY ("criterionId") REFERENCES "ReviewCriterion"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
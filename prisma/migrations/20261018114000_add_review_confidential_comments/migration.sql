@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Review" ADD COLUMN     "confidentialComments" TEXT;
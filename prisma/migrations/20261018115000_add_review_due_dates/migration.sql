@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "Conference" ADD COLUMN     "reviewDueDays" INTEGER NOT NULL DEFAULT 21;
+
+-- AlterTable
+ALTER TABLE "ReviewerAssignment" ADD COLUMN     "dueAt" TIMESTAMP(3),
+ADD COLUMN     "lastOverdueReminderAt" TIMESTAMP(3),
+ADD COLUMN     "reminderSentAt" TIMESTAMP(3);
+
+-- Existing assignments get the default review period, counted from when they were made
+UPDATE "ReviewerAssignment" SET "dueAt" = "assignedAt" + INTERVAL '21 days';
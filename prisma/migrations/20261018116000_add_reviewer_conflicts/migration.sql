@@ -0,0 +1,28 @@
+-- CreateEnum
+CREATE TYPE "ConflictType" AS ENUM ('PERSON', 'INSTITUTION', 'EMAIL_DOMAIN');
+
+-- AlterTable
+ALTER TABLE "ReviewerAssignment" ADD COLUMN     "conflictOverrideReason" TEXT,
+ADD COLUMN     "conflictOverriddenById" INTEGER,
+ADD COLUMN     "conflicts" JSONB;
+
+-- CreateTable
+CREATE TABLE "ReviewerConflict" (
+    "id" SERIAL NOT NULL,
+    "reviewerId" INTEGER NOT NULL,
+    "type" "ConflictType" NOT NULL,
+    "value" TEXT NOT NULL,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ReviewerConflict_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReviewerConflict_reviewerId_type_value_key" ON "ReviewerConflict"("reviewerId", "type", "value");
+
+-- AddForeignKey
+ALTER TABLE "ReviewerAssignment" ADD CONSTRAINT "ReviewerAssignment_conflictOverriddenById_fkey" FOREIGN KEY ("conflictOverriddenById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReviewerConflict" ADD CONSTRAINT "ReviewerConflict_reviewerId_fkey" FOREIGN KEY ("reviewerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
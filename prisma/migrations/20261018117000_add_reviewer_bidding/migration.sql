@@ -0,0 +1,26 @@
+-- AlterEnum
+ALTER TYPE "PhaseType" ADD VALUE 'BIDDING' BEFORE 'REVIEW';
+
+-- CreateEnum
+CREATE TYPE "BidLevel" AS ENUM ('EAGER', 'WILLING', 'NOT_WILLING', 'CONFLICT');
+
+-- CreateTable
+CREATE TABLE "ReviewerBid" (
+    "id" SERIAL NOT NULL,
+    "paperId" INTEGER NOT NULL,
+    "reviewerId" INTEGER NOT NULL,
+    "bid" "BidLevel" NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ReviewerBid_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReviewerBid_paperId_reviewerId_key" ON "ReviewerBid"("paperId", "reviewerId");
+
+-- AddForeignKey
+ALTER TABLE "ReviewerBid" ADD CONSTRAINT "ReviewerBid_paperId_fkey" FOREIGN KEY ("paperId") REFERENCES "Paper"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReviewerBid" ADD CONSTRAINT "ReviewerBid_reviewerId_fkey" FOREIGN KEY ("reviewerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- CreateTable
+CREATE TABLE "TwoFactorPolicy" (
+    "role" "Role" NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TwoFactorPolicy_pkey" PRIMARY KEY ("role")
+);
@@ -1,21 +1,94 @@
 import prisma from "../libs/prisma.js";
 import { validationResult } from "express-validator";
-import bcrypt from "bcrypt";
+import { withDownloadLinks } from "../utils/files.js";
 import { sendEmail } from "../utils/mail.js";
-import { v2 as cloudinary } from "cloudinary";
+import { revokeUserSessions } from "../utils/session.js";
+import {
+  getDefaultRole,
+  generateRandomToken,
+  hashToken,
+} from "../utils/auth.js";
+import { parseInTimeZone, formatInTimeZone } from "../utils/timezone.js";
+import { PHASE_LABELS } from "../utils/phases.js";
+import { findPaperConflicts } from "../utils/conflicts.js";
+import { deleteFile } from "../libs/storage/index.js";
+import { REVIEWABLE_STATUSES } from "../jobs/reviewReminders.js";
+import { isTwoFactorRequired } from "../utils/twoFactorPolicy.js";
 
-// Configure Cloudinary (needed for deleting files)
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+// Fields of a user that are safe to show in the admin user management API
+const USER_ADMIN_SELECT = {
+  id: true,
+  firstName: true,
+  middleName: true,
+  lastName: true,
+  email: true,
+  affiliation: true,
+  roles: true,
+  isActive: true,
+  deactivatedAt: true,
+  emailVerifiedAt: true,
+  twoFactorEnabled: true,
+  twoFactorRequired: true,
+  lockedUntil: true,
+  createdAt: true,
+};
+
+const INVITATION_TTL_MS = 14 * 24 * 60 * 60 * 1000; // 14 days
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Emails a reviewer invitation link (accept or decline).
+ * @param {object} invitation - The ReviewerInvitation row.
+ * @param {string} token - The plaintext invitation token.
+ * @param {object} conference - The conference the invitation is for.
+ */
+const sendInvitationEmail = (invitation, token, conference) => {
+  const invitationUrl = `${
+    process.env.FRONTEND_URL || "https://icisct.com"
+  }/reviewer-invitation?token=${token}`;
+
+  sendEmail({
+    to: invitation.email,
+    subject: `Invitation to review for ${conference.name}`,
+    text: `
+      Hello ${invitation.firstName},
+
+      You are invited to join the program committee of ${conference.name} as a reviewer.
+
+      Please open the link below to accept or decline the invitation.
+      If you accept, you will be able to set your own password (or use your existing account).
+
+      ${invitationUrl}
+
+      This invitation expires on ${invitation.expiresAt.toUTCString()}.
+
+      Best regards,
+      Conference Admin Team
+    `,
+  }).catch(console.error);
+};
+
+/**
+ * Reports pending invitations past their expiry date as EXPIRED.
+ * @param {object} invitation - The ReviewerInvitation row.
+ * @returns {string}
+ */
+const getInvitationStatus = (invitation) => {
+  if (invitation.status === "PENDING" && invitation.expiresAt <= new Date()) {
+    return "EXPIRED";
+  }
+  return invitation.status;
+};
 
 /**
- * Register a new user with the REVIEWER role.
- * @route POST /api/admin/register-reviewer
+ * Invite someone to become a reviewer for the conference.
+ * No account is created until the invitee accepts; accepting also adds
+ * them to the conference's reviewer pool.
+ * @route POST /api/admin/conferences/:conferenceId/reviewer-invitations
+ * @route POST /api/admin/reviewer-invitations (current conference)
+ * @route POST /api/admin/register-reviewer (kept for older clients)
  */
-export const registerReviewer = async (req, res) => {
+export const inviteReviewer = async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
@@ -24,77 +97,223 @@ export const registerReviewer = async (req, res) => {
   const { firstName, middleName, lastName, affiliation, email } = req.body;
 
   try {
-    // Check if user already exists
-    let user = await prisma.user.findUnique({ where: { email } });
-    if (user) {
-      return res
-        .status(400)
-        .json({ message: "User with this email already exists" });
+    const existingUser = await prisma.user.findUnique({ where: { email } });
+    if (existingUser && existingUser.roles.includes("REVIEWER")) {
+      return res.status(400).json({
+        message:
+          "User with this email is already a reviewer. Add them to the reviewer pool instead.",
+        userId: existingUser.id,
+      });
     }
 
-    // Generate a random password (e.g., 8 characters)
-    const tempPassword = Math.random().toString(36).slice(-8);
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(tempPassword, salt);
+    const pendingInvitation = await prisma.reviewerInvitation.findFirst({
+      where: {
+        email,
+        conferenceId: req.conference.id,
+        status: "PENDING",
+        expiresAt: { gt: new Date() },
+      },
+    });
+    if (pendingInvitation) {
+      return res.status(400).json({
+        message:
+          "This email already has a pending invitation. Resend it instead.",
+        invitationId: pendingInvitation.id,
+      });
+    }
 
-    // Create the new reviewer user
-    user = await prisma.user.create({
+    const token = generateRandomToken();
+    const invitation = await prisma.reviewerInvitation.create({
       data: {
+        email,
         firstName,
         middleName,
         lastName,
         affiliation,
-        email,
-        password: hashedPassword,
-        role: "REVIEWER",
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+        invitedById: req.user.id,
+        conferenceId: req.conference.id,
       },
     });
 
-    // Send email to the new reviewer
-    const mailSubject = "You are invited as a Reviewer";
-    const mailText = `
-      Hello ${firstName},
-      
-      You have been registered as a reviewer for our conference system.
-      You can log in using the following credentials:
-      
-      Email: ${email}
-      Password: ${tempPassword}
-      
-      Please change your password after your first login.
-      
-      Best regards,
-      Conference Admin Team
-    `;
+    sendInvitationEmail(invitation, token, req.conference);
 
-    await sendEmail({
-      to: email,
-      subject: mailSubject,
-      text: mailText,
+    const { tokenHash, ...invitationData } = invitation;
+    res.status(201).json({
+      message: "Invitation sent successfully",
+      invitation: invitationData,
     });
+  } catch (error) {
+    console.error("Error inviting reviewer:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
 
-    res.status(201).json({
-      message: "Reviewer registered successfully. Credentials sent via email.",
-      user: {
-        id: user.id,
-        email: user.email,
-        role: user.role,
+/**
+ * List the conference's reviewer invitations, optionally filtered by status
+ * (PENDING, ACCEPTED, DECLINED, REVOKED or EXPIRED).
+ * @route GET /api/admin/conferences/:conferenceId/reviewer-invitations
+ * @route GET /api/admin/reviewer-invitations (current conference)
+ */
+export const getReviewerInvitations = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { status } = req.query;
+
+  const where = { conferenceId: req.conference.id };
+  if (status === "EXPIRED") {
+    where.status = "PENDING";
+    where.expiresAt = { lte: new Date() };
+  } else if (status === "PENDING") {
+    where.status = "PENDING";
+    where.expiresAt = { gt: new Date() };
+  } else if (status) {
+    where.status = status;
+  }
+
+  try {
+    const invitations = await prisma.reviewerInvitation.findMany({
+      where,
+      omit: { tokenHash: true },
+      include: {
+        invitedBy: {
+          select: { id: true, firstName: true, lastName: true },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    res.status(200).json(
+      invitations.map((invitation) => ({
+        ...invitation,
+        status: getInvitationStatus(invitation),
+      }))
+    );
+  } catch (error) {
+    console.error("Error fetching invitations:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Resend a pending (or expired) invitation with a fresh link and expiry.
+ * The previous link stops working.
+ * @route POST /api/admin/conferences/:conferenceId/reviewer-invitations/:id/resend
+ * @route POST /api/admin/reviewer-invitations/:id/resend (current conference)
+ */
+export const resendReviewerInvitation = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const invitation = await prisma.reviewerInvitation.findFirst({
+      where: { id: parseInt(id), conferenceId: req.conference.id },
+    });
+
+    if (!invitation) {
+      return res.status(404).json({ message: "Invitation not found" });
+    }
+
+    if (invitation.status !== "PENDING") {
+      return res.status(400).json({
+        message: `Invitation has already been ${invitation.status.toLowerCase()}`,
+      });
+    }
+
+    const token = generateRandomToken();
+    const updatedInvitation = await prisma.reviewerInvitation.update({
+      where: { id: invitation.id },
+      data: {
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+        sentCount: { increment: 1 },
+        lastSentAt: new Date(),
+      },
+      omit: { tokenHash: true },
+    });
+
+    sendInvitationEmail(updatedInvitation, token, req.conference);
+
+    res.status(200).json({
+      message: "Invitation resent",
+      invitation: updatedInvitation,
+    });
+  } catch (error) {
+    console.error("Error resending invitation:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Revoke a pending invitation so its link can no longer be used.
+ * @route DELETE /api/admin/conferences/:conferenceId/reviewer-invitations/:id
+ * @route DELETE /api/admin/reviewer-invitations/:id (current conference)
+ */
+export const revokeReviewerInvitation = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { count } = await prisma.reviewerInvitation.updateMany({
+      where: {
+        id: parseInt(id),
+        conferenceId: req.conference.id,
+        status: "PENDING",
       },
+      data: { status: "REVOKED", respondedAt: new Date() },
     });
+
+    if (count === 0) {
+      return res
+        .status(404)
+        .json({ message: "Pending invitation not found" });
+    }
+
+    res.status(200).json({ message: "Invitation revoked" });
   } catch (error) {
-    console.error("Error registering reviewer:", error);
+    console.error("Error revoking invitation:", error);
     res.status(500).json({ message: "Server error" });
   }
 };
 
 /**
- * Get all papers (for admin dashboard).
- * @route GET /api/admin/papers
+ * Counts a paper's reviewer bids by level.
+ * @param {{ bid: string }[]} bids
+ * @returns {{ EAGER: number, WILLING: number, NOT_WILLING: number, CONFLICT: number }}
+ */
+const summarizeBids = (bids) => {
+  const summary = { EAGER: 0, WILLING: 0, NOT_WILLING: 0, CONFLICT: 0 };
+  for (const { bid } of bids) {
+    summary[bid]++;
+  }
+  return summary;
+};
+
+/**
+ * Get all papers of the conference (for admin dashboard),
+ * optionally filtered by track and/or topic area.
+ * @route GET /api/admin/conferences/:conferenceId/papers?trackId=&topicId=
+ * @route GET /api/admin/papers?trackId=&topicId= (current conference)
  */
 export const getAllPapers = async (req, res) => {
+  const { trackId, topicId } = req.query;
+
+  const where = { conferenceId: req.conference.id };
+  if (trackId) {
+    where.trackId = parseInt(trackId);
+  }
+  if (topicId) {
+    where.topics = { some: { topicAreaId: parseInt(topicId) } };
+  }
+
   try {
     const papers = await prisma.paper.findMany({
+      where,
       include: {
+        track: { select: { id: true, name: true } },
+        topics: { select: { topicArea: { select: { id: true, name: true } } } },
         author: {
           select: {
             id: true,
@@ -104,31 +323,59 @@ export const getAllPapers = async (req, res) => {
           },
         },
         _count: {
-          select: { reviews: true, assignments: true },
+          select: {
+            reviews: true,
+            assignments: true,
+            similarityFlags: true,
+            similarityMatches: true,
+          },
         },
+        bids: { select: { bid: true } },
       },
       orderBy: {
         submittedAt: "desc",
       },
     });
 
-    res.status(200).json(papers);
+    const response = papers.map(({ bids, ...paper }) => ({
+      ...withDownloadLinks(paper),
+      // Resembles another paper (see GET /papers/duplicates)
+      possibleDuplicate:
+        paper._count.similarityFlags + paper._count.similarityMatches > 0,
+      bidSummary: summarizeBids(bids),
+    }));
+
+    res.status(200).json(response);
   } catch (error) {
     console.error("Error fetching all papers:", error);
     res.status(500).json({ message: "Server error" });
   }
 };
 
+// Fields shown for the other paper of a likely duplicate pair
+const SIMILAR_PAPER_SELECT = {
+  id: true,
+  title: true,
+  status: true,
+  submittedAt: true,
+  conference: { select: { id: true, name: true } },
+  track: { select: { id: true, name: true } },
+  author: {
+    select: { id: true, firstName: true, lastName: true, email: true },
+  },
+};
+
 /**
  * Get a single paper by ID (for admin).
- * @route GET /api/admin/papers/:id
+ * @route GET /api/admin/conferences/:conferenceId/papers/:id
+ * @route GET /api/admin/papers/:id (current conference)
  */
 export const getPaperById = async (req, res) => {
   const { id } = req.params;
 
   try {
-    const paper = await prisma.paper.findUnique({
-      where: { id: parseInt(id) },
+    const paper = await prisma.paper.findFirst({
+      where: { id: parseInt(id), conferenceId: req.conference.id },
       include: {
         author: {
           select: {
@@ -140,6 +387,24 @@ export const getPaperById = async (req, res) => {
           },
         },
         authors: true, // Updated from coAuthors
+        track: { select: { id: true, name: true } },
+        topics: { select: { topicArea: { select: { id: true, name: true } } } },
+        versions: {
+          include: {
+            uploadedBy: {
+              select: { id: true, firstName: true, lastName: true },
+            },
+          },
+          orderBy: { round: "asc" },
+        },
+        changeLogs: {
+          include: {
+            changedBy: {
+              select: { id: true, firstName: true, lastName: true },
+            },
+          },
+          orderBy: { changedAt: "asc" },
+        },
         // Include reviews and the reviewer's info
         reviews: {
           include: {
@@ -151,6 +416,11 @@ export const getPaperById = async (req, res) => {
                 email: true,
               },
             },
+            answers: {
+              include: {
+                criterion: { select: { id: true, label: true, type: true } },
+              },
+            },
           },
         },
         // Include the full feedback thread
@@ -161,7 +431,7 @@ export const getPaperById = async (req, res) => {
                 id: true,
                 firstName: true,
                 lastName: true,
-                role: true,
+                roles: true,
               },
             },
           },
@@ -178,7 +448,34 @@ export const getPaperById = async (req, res) => {
                 lastName: true,
               },
             },
+            // Who assigned despite a conflict of interest, if anyone
+            conflictOverriddenBy: {
+              select: { id: true, firstName: true, lastName: true },
+            },
+          },
+          orderBy: { assignedAt: "asc" },
+        },
+        deadlineExtensions: {
+          include: {
+            grantedBy: {
+              select: { id: true, firstName: true, lastName: true },
+            },
+          },
+        },
+        similarityFlags: {
+          include: { similarPaper: { select: SIMILAR_PAPER_SELECT } },
+        },
+        similarityMatches: {
+          include: { paper: { select: SIMILAR_PAPER_SELECT } },
+        },
+        // Reviewers' bids, most eager first
+        bids: {
+          include: {
+            reviewer: {
+              select: { id: true, firstName: true, lastName: true, email: true },
+            },
           },
+          orderBy: [{ bid: "asc" }, { updatedAt: "asc" }],
         },
       },
     });
@@ -187,29 +484,92 @@ export const getPaperById = async (req, res) => {
       return res.status(404).json({ message: "Paper not found" });
     }
 
-    res.status(200).json(paper);
+    // A review is overdue once its due date passes without a submitted review,
+    // while the paper still expects reviews
+    const now = new Date();
+    paper.assignments = paper.assignments.map((assignment) => ({
+      ...assignment,
+      isOverdue:
+        REVIEWABLE_STATUSES.includes(paper.status) &&
+        Boolean(assignment.dueAt) &&
+        assignment.dueAt < now &&
+        !paper.reviews.some((r) => r.reviewerId === assignment.reviewerId),
+    }));
+
+    // Likely duplicates in either direction, most similar first
+    const { similarityFlags, similarityMatches, ...details } = paper;
+    const possibleDuplicates = [
+      ...similarityFlags.map(({ similarPaper, ...scores }) => ({
+        ...scores,
+        otherPaper: similarPaper,
+      })),
+      ...similarityMatches.map(({ paper: newerPaper, ...scores }) => ({
+        ...scores,
+        otherPaper: newerPaper,
+      })),
+    ].sort((a, b) => b.score - a.score);
+
+    res.status(200).json({
+      ...withDownloadLinks(details),
+      possibleDuplicates,
+      bidSummary: summarizeBids(paper.bids),
+    });
   } catch (error) {
     console.error("Error fetching paper details:", error);
     res.status(500).json({ message: "Server error" });
   }
 };
 
+/**
+ * List likely duplicate pairs involving the conference's papers (the
+ * other paper may belong to any edition), most similar first.
+ * @route GET /api/admin/conferences/:conferenceId/papers/duplicates?minScore=
+ * @route GET /api/admin/papers/duplicates?minScore= (current conference)
+ */
+export const getDuplicatePapers = async (req, res) => {
+  const minScore = parseFloat(req.query.minScore) || 0;
+
+  try {
+    const pairs = await prisma.paperSimilarity.findMany({
+      where: {
+        score: { gte: minScore },
+        OR: [
+          { paper: { conferenceId: req.conference.id } },
+          { similarPaper: { conferenceId: req.conference.id } },
+        ],
+      },
+      include: {
+        paper: { select: SIMILAR_PAPER_SELECT },
+        similarPaper: { select: SIMILAR_PAPER_SELECT },
+      },
+      orderBy: [{ score: "desc" }, { detectedAt: "desc" }],
+    });
+
+    res.status(200).json(pairs);
+  } catch (error) {
+    console.error("Error fetching duplicate papers:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
 /**
  * Delete a paper (if inappropriate).
- * @route DELETE /api/admin/papers/:id
+ * @route DELETE /api/admin/conferences/:conferenceId/papers/:id
+ * @route DELETE /api/admin/papers/:id (current conference)
  */
 export const deletePaper = async (req, res) => {
   const { id } = req.params;
 
   try {
     // <-- NEW: Find paper and corresponding authors *before* deleting
-    const paper = await prisma.paper.findUnique({
-      where: { id: parseInt(id) },
+    const paper = await prisma.paper.findFirst({
+      where: { id: parseInt(id), conferenceId: req.conference.id },
       include: {
         authors: {
           where: { isCorresponding: true, email: { not: null } },
           select: { email: true, name: true, salutation: true },
         },
+        versions: { select: { fileUrl: true } },
       },
     });
 
@@ -219,22 +579,19 @@ export const deletePaper = async (req, res) => {
 
     const authorsToNotify = paper.authors;
     const paperTitle = paper.title;
-    const oldFileUrl = paper.fileUrl;
+    // Every version's file (the current file is the latest version) and the camera-ready file
+    const oldFileUrls = new Set([
+      paper.fileUrl,
+      ...paper.versions.map((version) => version.fileUrl),
+      ...(paper.cameraReadyUrl ? [paper.cameraReadyUrl] : []),
+    ]);
 
-    // 1. Delete the file from Cloudinary
-    if (oldFileUrl) {
+    // 1. Delete the files from storage
+    for (const oldFileUrl of oldFileUrls) {
       try {
-        const urlParts = oldFileUrl.split("/");
-        const publicId = urlParts
-          .slice(urlParts.indexOf("conference_papers"))
-          .join("/")
-          .split(".")[0];
-        await cloudinary.uploader.destroy(publicId, { resource_type: "raw" });
-      } catch (cloudinaryError) {
-        console.warn(
-          "Could not delete file from Cloudinary:",
-          cloudinaryError.message
-        );
+        await deleteFile(oldFileUrl);
+      } catch (storageError) {
+        console.warn("Could not delete file from storage:", storageError.message);
       }
     }
 
@@ -246,6 +603,7 @@ export const deletePaper = async (req, res) => {
         where: { paperId: parseInt(id) },
       }),
       prisma.author.deleteMany({ where: { paperId: parseInt(id) } }), // Updated from coAuthor
+      prisma.paperVersion.deleteMany({ where: { paperId: parseInt(id) } }),
       prisma.paper.delete({ where: { id: parseInt(id) } }),
     ]);
 
@@ -276,14 +634,15 @@ export const deletePaper = async (req, res) => {
 
 /**
  * Approve a paper.
- * @route PATCH /api/admin/papers/:id/approve
+ * @route PATCH /api/admin/conferences/:conferenceId/papers/:id/approve
+ * @route PATCH /api/admin/papers/:id/approve (current conference)
  */
 export const approvePaper = async (req, res) => {
   const { id } = req.params;
 
   try {
-    const paper = await prisma.paper.findUnique({
-      where: { id: parseInt(id) },
+    const paper = await prisma.paper.findFirst({
+      where: { id: parseInt(id), conferenceId: req.conference.id },
     });
 
     if (!paper) {
@@ -331,9 +690,10 @@ export const approvePaper = async (req, res) => {
       }).catch(console.error);
     }
 
-    res
-      .status(200)
-      .json({ message: "Paper approved successfully", paper: updatedPaper });
+    res.status(200).json({
+      message: "Paper approved successfully",
+      paper: withDownloadLinks(updatedPaper),
+    });
   } catch (error) {
     console.error("Error approving paper:", error);
     res.status(500).json({ message: "Server error" });
@@ -342,7 +702,8 @@ export const approvePaper = async (req, res) => {
 
 /**
  * Update a paper's final status.
- * @route PATCH /api/admin/papers/:id/status
+ * @route PATCH /api/admin/conferences/:conferenceId/papers/:id/status
+ * @route PATCH /api/admin/papers/:id/status (current conference)
  */
 export const updatePaperStatus = async (req, res) => {
   const { id } = req.params;
@@ -358,14 +719,20 @@ export const updatePaperStatus = async (req, res) => {
   }
 
   try {
-    const paper = await prisma.paper.findUnique({
-      where: { id: parseInt(id) },
+    const paper = await prisma.paper.findFirst({
+      where: { id: parseInt(id), conferenceId: req.conference.id },
     });
 
     if (!paper) {
       return res.status(404).json({ message: "Paper not found" });
     }
 
+    if (paper.status === "WITHDRAWN") {
+      return res
+        .status(400)
+        .json({ message: "Paper has been withdrawn by its authors." });
+    }
+
     const updatedPaper = await prisma.paper.update({
       where: { id: parseInt(id) },
       data: {
@@ -407,7 +774,7 @@ export const updatePaperStatus = async (req, res) => {
 
     res.status(200).json({
       message: `Paper status updated to ${status}`,
-      paper: updatedPaper,
+      paper: withDownloadLinks(updatedPaper),
     });
   } catch (error) {
     console.error("Error updating paper status:", error);
@@ -416,14 +783,18 @@ export const updatePaperStatus = async (req, res) => {
 };
 
 /**
- * Get all users with the REVIEWER role.
- * @route GET /api/admin/reviewers
+ * Get the reviewer pool of the conference, with each reviewer's overdue reviews.
+ * @route GET /api/admin/conferences/:conferenceId/reviewers
+ * @route GET /api/admin/reviewers (current conference)
  */
 export const getAllReviewers = async (req, res) => {
+  const now = new Date();
+
   try {
     const reviewers = await prisma.user.findMany({
       where: {
-        role: "REVIEWER",
+        roles: { has: "REVIEWER" },
+        conferences: { some: { conferenceId: req.conference.id } },
       },
       select: {
         id: true,
@@ -431,25 +802,139 @@ export const getAllReviewers = async (req, res) => {
         lastName: true,
         email: true,
         affiliation: true,
+        isActive: true,
         _count: {
-          select: { assignments: true, reviews: true },
+          select: {
+            // Only count work done for this conference
+            assignments: { where: { paper: { conferenceId: req.conference.id } } },
+            reviews: { where: { paper: { conferenceId: req.conference.id } } },
+          },
+        },
+        // Assignments past their due date, to check for a submitted review
+        assignments: {
+          where: {
+            dueAt: { lt: now },
+            paper: {
+              conferenceId: req.conference.id,
+              status: { in: REVIEWABLE_STATUSES },
+            },
+          },
+          select: {
+            dueAt: true,
+            paper: {
+              select: {
+                id: true,
+                title: true,
+                reviews: { select: { reviewerId: true } },
+              },
+            },
+          },
         },
       },
     });
-    res.status(200).json(reviewers);
+
+    const response = reviewers.map(({ assignments, ...reviewer }) => {
+      const overdueReviews = assignments
+        .filter(
+          ({ paper }) => !paper.reviews.some((r) => r.reviewerId === reviewer.id)
+        )
+        .map(({ dueAt, paper }) => ({
+          paperId: paper.id,
+          title: paper.title,
+          dueAt,
+        }));
+
+      return {
+        ...reviewer,
+        overdueReviews,
+        isOverdue: overdueReviews.length > 0,
+      };
+    });
+
+    res.status(200).json(response);
   } catch (error) {
     console.error("Error fetching reviewers:", error);
     res.status(500).json({ message: "Server error" });
   }
 };
 
+/**
+ * Add existing reviewers (e.g., from a past edition) to the conference's
+ * reviewer pool.
+ * @route POST /api/admin/conferences/:conferenceId/reviewers
+ * @route POST /api/admin/reviewers (current conference)
+ */
+export const addReviewersToPool = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { userIds } = req.body;
+
+  try {
+    const reviewerCount = await prisma.user.count({
+      where: { id: { in: userIds }, roles: { has: "REVIEWER" } },
+    });
+    if (reviewerCount !== new Set(userIds).size) {
+      return res.status(400).json({
+        message: "All users must have the REVIEWER role. Invite new reviewers instead.",
+      });
+    }
+
+    const { count } = await prisma.conferenceReviewer.createMany({
+      data: userIds.map((userId) => ({
+        conferenceId: req.conference.id,
+        userId,
+      })),
+      skipDuplicates: true,
+    });
+
+    res
+      .status(200)
+      .json({ message: `${count} reviewer(s) added to the pool`, added: count });
+  } catch (error) {
+    console.error("Error adding reviewers to pool:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Remove a reviewer from the conference's reviewer pool.
+ * Existing assignments and reviews are kept.
+ * @route DELETE /api/admin/conferences/:conferenceId/reviewers/:userId
+ * @route DELETE /api/admin/reviewers/:userId (current conference)
+ */
+export const removeReviewerFromPool = async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const { count } = await prisma.conferenceReviewer.deleteMany({
+      where: { conferenceId: req.conference.id, userId: parseInt(userId) },
+    });
+
+    if (count === 0) {
+      return res
+        .status(404)
+        .json({ message: "Reviewer is not in this conference's pool" });
+    }
+
+    res.status(200).json({ message: "Reviewer removed from the pool" });
+  } catch (error) {
+    console.error("Error removing reviewer from pool:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
 /**
  * Assign one or more reviewers to a paper.
- * @route POST /api/admin/papers/:id/assign
+ * @route POST /api/admin/conferences/:conferenceId/papers/:id/assign
+ * @route POST /api/admin/papers/:id/assign (current conference)
  */
 export const assignReviewersToPaper = async (req, res) => {
   const { id } = req.params;
   const { reviewerIds } = req.body; // Expect an array of reviewer IDs: [1, 2, 3]
+  const { overrideConflicts, conflictOverrideReason } = req.body;
 
   if (!reviewerIds || !Array.isArray(reviewerIds) || reviewerIds.length === 0) {
     return res
@@ -457,20 +942,99 @@ export const assignReviewersToPaper = async (req, res) => {
       .json({ message: "Reviewer IDs must be a non-empty array" });
   }
 
+  // Reviews are due after the conference's review period unless a date is given
+  const { timezone, reviewDueDays } = req.conference;
+  const dueAt = req.body.dueAt
+    ? parseInTimeZone(req.body.dueAt, timezone)
+    : new Date(Date.now() + reviewDueDays * DAY_MS);
+  if (!dueAt || dueAt <= new Date()) {
+    return res.status(400).json({
+      message:
+        'The due date must be in the future and look like "2026-03-01T23:59"',
+    });
+  }
+
   try {
-    const paper = await prisma.paper.findUnique({
-      where: { id: parseInt(id) },
+    const paper = await prisma.paper.findFirst({
+      where: { id: parseInt(id), conferenceId: req.conference.id },
     });
 
     if (!paper) {
       return res.status(404).json({ message: "Paper not found" });
     }
 
+    if (paper.status === "WITHDRAWN") {
+      return res
+        .status(400)
+        .json({ message: "Paper has been withdrawn by its authors." });
+    }
+
+    // Only active reviewers from the conference's pool can be assigned
+    const reviewerCount = await prisma.user.count({
+      where: {
+        id: { in: reviewerIds },
+        roles: { has: "REVIEWER" },
+        isActive: true,
+        conferences: { some: { conferenceId: req.conference.id } },
+      },
+    });
+    if (reviewerCount !== new Set(reviewerIds).size) {
+      return res.status(400).json({
+        message:
+          "All assigned users must be active reviewers in this conference's reviewer pool",
+      });
+    }
+
+    // Authors are never assigned their own paper; other conflicts of
+    // interest need an override with a reason, recorded on the assignment
+    const conflicted = [
+      ...(await findPaperConflicts(paper.id, reviewerIds)).values(),
+    ]
+      .filter(({ conflicts }) => conflicts.length > 0)
+      .map(({ reviewer, conflicts }) => ({
+        reviewerId: reviewer.id,
+        reviewerName: `${reviewer.firstName} ${reviewer.lastName}`,
+        conflicts,
+      }));
+
+    const blocked = conflicted.filter(({ conflicts }) =>
+      conflicts.some((conflict) => conflict.blocking)
+    );
+    if (blocked.length > 0) {
+      return res.status(409).json({
+        message: "Authors of a paper cannot review it",
+        code: "CONFLICT_OF_INTEREST",
+        conflicts: blocked,
+      });
+    }
+    if (conflicted.length > 0 && !overrideConflicts) {
+      return res.status(409).json({
+        message:
+          "Some reviewers have conflicts of interest with this paper. Send overrideConflicts and a conflictOverrideReason to assign them anyway.",
+        code: "CONFLICT_OF_INTEREST",
+        conflicts: conflicted,
+      });
+    }
+    if (conflicted.length > 0 && !conflictOverrideReason?.trim()) {
+      return res.status(400).json({
+        message: "A reason is required to override conflicts of interest",
+      });
+    }
+
     // 1. Create the assignments in the database
-    const assignments = reviewerIds.map((reviewerId) => ({
-      paperId: parseInt(id),
-      reviewerId: reviewerId,
-    }));
+    const assignments = reviewerIds.map((reviewerId) => {
+      const override = conflicted.find((c) => c.reviewerId === reviewerId);
+      return {
+        paperId: parseInt(id),
+        reviewerId: reviewerId,
+        dueAt,
+        ...(override && {
+          conflicts: override.conflicts,
+          conflictOverrideReason: conflictOverrideReason.trim(),
+          conflictOverriddenById: req.user.id,
+        }),
+      };
+    });
 
     await prisma.reviewerAssignment.createMany({
       data: assignments,
@@ -531,7 +1095,8 @@ export const assignReviewersToPaper = async (req, res) => {
         Hello ${reviewer.firstName},
         
         You have been assigned to review a new paper titled: "${paper.title}".
-        Please log in to your reviewer dashboard to view the paper and submit your review.
+        Please log in to your reviewer dashboard to view the paper and submit your review
+        by ${formatInTimeZone(dueAt, timezone)}.
         
         Best regards,
         Conference Admin Team
@@ -543,7 +1108,11 @@ export const assignReviewersToPaper = async (req, res) => {
       }).catch(console.error);
     }
 
-    res.status(200).json({ message: "Reviewers assigned successfully" });
+    res.status(200).json({
+      message: "Reviewers assigned successfully",
+      // Conflicts that were overridden
+      warnings: conflicted,
+    });
   } catch (error) {
     console.error("Error assigning reviewers:", error);
     res.status(500).json({ message: "Server error" });
@@ -551,15 +1120,134 @@ export const assignReviewersToPaper = async (req, res) => {
 };
 
 /**
- * Update a paper's Payment Status (Fees).
- * @route PATCH /api/admin/papers/:id/payment-status
+ * List the conflicts of interest between a paper and the reviewers of the
+ * conference's pool, to check before assigning.
+ * @route GET /api/admin/conferences/:conferenceId/papers/:id/conflicts
+ * @route GET /api/admin/papers/:id/conflicts (current conference)
  */
-export const updatePaymentStatus = async (req, res) => {
+export const getPaperConflicts = async (req, res) => {
   const { id } = req.params;
-  const { paymentStatus } = req.body; // Expects: "UNPAID", "PAID", or "WAIVED"
 
-  // Validate against the Enum we added to Prisma
-  const validStatuses = ["UNPAID", "PAID", "WAIVED"];
+  try {
+    const paper = await prisma.paper.findFirst({
+      where: { id: parseInt(id), conferenceId: req.conference.id },
+      select: { id: true },
+    });
+
+    if (!paper) {
+      return res.status(404).json({ message: "Paper not found" });
+    }
+
+    const pool = await prisma.conferenceReviewer.findMany({
+      where: { conferenceId: req.conference.id },
+      select: { userId: true },
+    });
+
+    const conflictsByReviewer = await findPaperConflicts(
+      paper.id,
+      pool.map((member) => member.userId)
+    );
+
+    const response = [...conflictsByReviewer.values()]
+      .filter(({ conflicts }) => conflicts.length > 0)
+      .map(({ reviewer, conflicts }) => ({
+        reviewerId: reviewer.id,
+        reviewerName: `${reviewer.firstName} ${reviewer.lastName}`,
+        conflicts,
+      }));
+
+    res.status(200).json(response);
+  } catch (error) {
+    console.error("Error checking conflicts of interest:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Move the due date of a reviewer's assignment. Reminders start over for
+ * the new date. The review phase's own closing time still applies (grant a
+ * REVIEW deadline extension to go past it).
+ * @route PATCH /api/admin/conferences/:conferenceId/papers/:id/assignments/:reviewerId
+ * @route PATCH /api/admin/papers/:id/assignments/:reviewerId (current conference)
+ */
+export const extendReviewDeadline = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { id, reviewerId } = req.params;
+  const { timezone } = req.conference;
+
+  const dueAt = parseInTimeZone(req.body.dueAt, timezone);
+  if (!dueAt) {
+    return res.status(400).json({
+      message: 'Dates must look like "2026-03-01T23:59" (optionally with an offset)',
+    });
+  }
+  if (dueAt <= new Date()) {
+    return res
+      .status(400)
+      .json({ message: "The new due date must be in the future" });
+  }
+
+  try {
+    const assignment = await prisma.reviewerAssignment.findFirst({
+      where: {
+        paperId: parseInt(id),
+        reviewerId: parseInt(reviewerId),
+        paper: { conferenceId: req.conference.id },
+      },
+      include: {
+        paper: { select: { id: true, title: true } },
+        reviewer: { select: { email: true, firstName: true } },
+      },
+    });
+
+    if (!assignment) {
+      return res.status(404).json({ message: "Assignment not found" });
+    }
+
+    const updatedAssignment = await prisma.reviewerAssignment.update({
+      where: { id: assignment.id },
+      data: { dueAt, reminderSentAt: null, lastOverdueReminderAt: null },
+    });
+
+    sendEmail({
+      to: assignment.reviewer.email,
+      subject: `[Update] New review due date for "${assignment.paper.title}"`,
+      text: `
+        Hello ${assignment.reviewer.firstName},
+
+        Your review of "${assignment.paper.title}" (ID: ${assignment.paper.id}) is now due by ${formatInTimeZone(dueAt, timezone)}.
+
+        Best regards,
+        Conference Admin Team
+      `,
+    }).catch(console.error);
+
+    res.status(200).json({
+      message: "Review deadline updated",
+      assignment: updatedAssignment,
+    });
+  } catch (error) {
+    console.error("Error extending review deadline:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Update a paper's Payment Status (Fees). Only while the registration
+ * phase is open, or within the paper's registration extension.
+ * @route PATCH /api/admin/conferences/:conferenceId/papers/:id/payment-status
+ * @route PATCH /api/admin/papers/:id/payment-status (current conference)
+ */
+export const updatePaymentStatus = async (req, res) => {
+  const { id } = req.params;
+  const { paymentStatus } = req.body; // Expects: "UNPAID", "PAID", or "WAIVED"
+
+  // Validate against the Enum we added to Prisma
+  const validStatuses = ["UNPAID", "PAID", "WAIVED"];
   if (!validStatuses.includes(paymentStatus)) {
     return res.status(400).json({
       message: "Invalid status. Must be UNPAID, PAID, or WAIVED",
@@ -567,8 +1255,8 @@ export const updatePaymentStatus = async (req, res) => {
   }
 
   try {
-    const paper = await prisma.paper.findUnique({
-      where: { id: parseInt(id) },
+    const paper = await prisma.paper.findFirst({
+      where: { id: parseInt(id), conferenceId: req.conference.id },
     });
 
     if (!paper) {
@@ -615,10 +1303,666 @@ export const updatePaymentStatus = async (req, res) => {
 
     res.status(200).json({
       message: `Payment status updated to ${paymentStatus}`,
-      paper: updatedPaper,
+      paper: withDownloadLinks(updatedPaper),
     });
   } catch (error) {
     console.error("Error updating payment status:", error);
     res.status(500).json({ message: "Server error" });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Grant a paper more time for one phase (e.g., a late camera-ready upload).
+ * Times without an explicit offset are read in the conference's time zone.
+ * @route POST /api/admin/conferences/:conferenceId/papers/:id/deadline-extensions
+ * @route POST /api/admin/papers/:id/deadline-extensions (current conference)
+ */
+export const grantDeadlineExtension = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { id } = req.params;
+  const { phase, reason } = req.body;
+  const { timezone } = req.conference;
+
+  const extendedUntil = parseInTimeZone(req.body.extendedUntil, timezone);
+  if (!extendedUntil) {
+    return res.status(400).json({
+      message: 'Dates must look like "2026-03-01T23:59" (optionally with an offset)',
+    });
+  }
+  if (extendedUntil <= new Date()) {
+    return res
+      .status(400)
+      .json({ message: "The extension must end in the future" });
+  }
+
+  try {
+    const paper = await prisma.paper.findFirst({
+      where: { id: parseInt(id), conferenceId: req.conference.id },
+    });
+
+    if (!paper) {
+      return res.status(404).json({ message: "Paper not found" });
+    }
+
+    const extension = await prisma.paperDeadlineExtension.upsert({
+      where: { paperId_phase: { paperId: paper.id, phase } },
+      update: { extendedUntil, reason, grantedById: req.user.id },
+      create: {
+        paperId: paper.id,
+        phase,
+        extendedUntil,
+        reason,
+        grantedById: req.user.id,
+      },
+    });
+
+    // Reviews are done by the reviewers; every other phase is the authors'
+    if (phase !== "REVIEW") {
+      const correspondingAuthors = await prisma.author.findMany({
+        where: {
+          paperId: paper.id,
+          isCorresponding: true,
+          email: { not: null },
+        },
+      });
+
+      for (const author of correspondingAuthors) {
+        sendEmail({
+          to: author.email,
+          subject: `[Update] Deadline extended for "${paper.title}"`,
+          text: `
+            Hello ${author.salutation || ""} ${author.name},
+
+            The ${PHASE_LABELS[phase]} deadline for your paper "${paper.title}" (ID: ${paper.id}) has been extended until ${formatInTimeZone(extendedUntil, timezone)}.
+
+            Best regards,
+            Conference Admin Team
+          `,
+        }).catch(console.error);
+      }
+    }
+
+    res.status(200).json({ message: "Deadline extension granted", extension });
+  } catch (error) {
+    console.error("Error granting deadline extension:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Withdraw a paper's deadline extension for a phase.
+ * @route DELETE /api/admin/conferences/:conferenceId/papers/:id/deadline-extensions/:phase
+ * @route DELETE /api/admin/papers/:id/deadline-extensions/:phase (current conference)
+ */
+export const revokeDeadlineExtension = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { id, phase } = req.params;
+
+  try {
+    const { count } = await prisma.paperDeadlineExtension.deleteMany({
+      where: {
+        paperId: parseInt(id),
+        phase,
+        paper: { conferenceId: req.conference.id },
+      },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ message: "Deadline extension not found" });
+    }
+
+    res.status(200).json({ message: "Deadline extension revoked" });
+  } catch (error) {
+    console.error("Error revoking deadline extension:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Revoke all active sessions of a user (force logout everywhere).
+ * @route DELETE /api/admin/users/:id/sessions
+ */
+export const revokeAllUserSessions = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(id) },
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const revokedCount = await revokeUserSessions(user.id);
+
+    res.status(200).json({
+      message: `Revoked ${revokedCount} active session(s)`,
+      revokedCount,
+    });
+  } catch (error) {
+    console.error("Error revoking user sessions:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Require (or stop requiring) two-factor authentication for a user.
+ * @route PATCH /api/admin/users/:id/two-factor
+ */
+export const setUserTwoFactorRequirement = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { id } = req.params;
+  const { required } = req.body;
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(id) },
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorRequired: required },
+    });
+
+    res.status(200).json({
+      message: required
+        ? "Two-factor authentication is now required for this user"
+        : "Two-factor authentication is now optional for this user",
+    });
+  } catch (error) {
+    console.error("Error updating two-factor requirement:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Get the roles that require two-factor authentication.
+ * @route GET /api/admin/two-factor-policy
+ */
+export const getTwoFactorPolicy = async (req, res) => {
+  try {
+    const policies = await prisma.twoFactorPolicy.findMany({
+      orderBy: { role: "asc" },
+    });
+
+    res.status(200).json(policies);
+  } catch (error) {
+    console.error("Error fetching two-factor policy:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Require (or stop requiring) two-factor authentication for every user
+ * holding a role (e.g., all ADMIN and REVIEWER accounts). The policy is
+ * stored per role, so it also covers users who get the role later;
+ * requirements set on individual users are kept either way.
+ * @route PATCH /api/admin/two-factor-policy
+ */
+export const setRoleTwoFactorRequirement = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { role, required } = req.body;
+
+  try {
+    if (required) {
+      await prisma.twoFactorPolicy.upsert({
+        where: { role },
+        create: { role },
+        update: {},
+      });
+    } else {
+      await prisma.twoFactorPolicy.deleteMany({ where: { role } });
+    }
+
+    const count = await prisma.user.count({
+      where: { roles: { has: role } },
+    });
+
+    res.status(200).json({
+      message: `Two-factor authentication ${
+        required ? "required" : "optional"
+      } for ${role.toLowerCase()} accounts (${count} now, and any added later)`,
+      count,
+    });
+  } catch (error) {
+    console.error("Error updating two-factor policy:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Reset a user's two-factor authentication (e.g., lost phone) and sign
+ * them out everywhere. If 2FA is required for the user (directly or by
+ * role), they must enroll again at next login.
+ * @route DELETE /api/admin/users/:id/two-factor
+ */
+export const resetUserTwoFactor = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(id) },
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorBackupCodes: [],
+      },
+    });
+
+    // The device may be lost or stolen: end the existing logins (but not
+    // the caller's own, if admins reset themselves)
+    await revokeUserSessions(
+      user.id,
+      user.id === req.user.id ? req.sessionId : undefined
+    );
+
+    const mustEnroll = await isTwoFactorRequired(user);
+
+    sendEmail({
+      to: user.email,
+      subject: "Your two-factor authentication has been reset",
+      text: `
+        Hello ${user.firstName},
+
+        An administrator has reset the two-factor authentication on your Conference Portal account and signed you out of all devices.
+        ${
+          mustEnroll
+            ? "You will be asked to set it up again the next time you log in."
+            : "You can set it up again from your account settings."
+        }
+
+        If you did not request this, please contact the conference organizers immediately.
+
+        Best regards,
+        Conference Admin Team
+      `,
+    }).catch(console.error);
+
+    res.status(200).json({ message: "Two-factor authentication reset" });
+  } catch (error) {
+    console.error("Error resetting two-factor authentication:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Checks whether removing admin rights from a user would leave the system
+ * without any active admin.
+ * @param {number} userId - The user losing admin rights.
+ * @returns {Promise<boolean>}
+ */
+const isLastActiveAdmin = async (userId) => {
+  const otherAdmins = await prisma.user.count({
+    where: { id: { not: userId }, roles: { has: "ADMIN" }, isActive: true },
+  });
+  return otherAdmins === 0;
+};
+
+/**
+ * List/search users with pagination.
+ * Query: search, role, status (active|inactive), page, limit
+ * @route GET /api/admin/users
+ */
+export const getUsers = async (req, res) => {
+  const { search, role, status } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const where = {};
+  if (search) {
+    where.OR = ["firstName", "lastName", "email", "affiliation"].map(
+      (field) => ({ [field]: { contains: search, mode: "insensitive" } })
+    );
+  }
+  if (role) {
+    where.roles = { has: role };
+  }
+  if (status === "active" || status === "inactive") {
+    where.isActive = status === "active";
+  }
+
+  try {
+    const [users, total] = await prisma.$transaction([
+      prisma.user.findMany({
+        where,
+        select: {
+          ...USER_ADMIN_SELECT,
+          _count: {
+            select: { papers: true, assignments: true, reviews: true },
+          },
+        },
+        orderBy: { createdAt: "desc" },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.user.count({ where }),
+    ]);
+
+    res.status(200).json({
+      users,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching users:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Get a single user's details.
+ * @route GET /api/admin/users/:id
+ */
+export const getUserById = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(id) },
+      select: {
+        ...USER_ADMIN_SELECT,
+        _count: {
+          select: {
+            papers: true,
+            assignments: true,
+            reviews: true,
+            feedbacks: true,
+          },
+        },
+        loginLogs: {
+          select: {
+            ipAddress: true,
+            userAgent: true,
+            success: true,
+            loginAt: true,
+          },
+          orderBy: { loginAt: "desc" },
+          take: 10,
+        },
+      },
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.status(200).json(user);
+  } catch (error) {
+    console.error("Error fetching user:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Edit a user's name and affiliation.
+ * @route PATCH /api/admin/users/:id
+ */
+export const updateUser = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { id } = req.params;
+  const { firstName, middleName, lastName, affiliation } = req.body;
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(id) },
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id: user.id },
+      data: { firstName, middleName, lastName, affiliation },
+      select: USER_ADMIN_SELECT,
+    });
+
+    res.status(200).json({ message: "User updated", user: updatedUser });
+  } catch (error) {
+    console.error("Error updating user:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Replace a user's roles.
+ * Sessions acting in a removed role are moved to one of the remaining roles.
+ * @route PATCH /api/admin/users/:id/roles
+ */
+export const updateUserRoles = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { id } = req.params;
+  const roles = [...new Set(req.body.roles)];
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(id) },
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.roles.includes("ADMIN") && !roles.includes("ADMIN")) {
+      if (user.id === req.user.id) {
+        return res
+          .status(400)
+          .json({ message: "You cannot remove your own admin role" });
+      }
+      if (user.isActive && (await isLastActiveAdmin(user.id))) {
+        return res
+          .status(400)
+          .json({ message: "Cannot remove the last active admin" });
+      }
+    }
+
+    const [updatedUser] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: { roles },
+        select: USER_ADMIN_SELECT,
+      }),
+      prisma.session.updateMany({
+        where: { userId: user.id, activeRole: { notIn: roles } },
+        data: { activeRole: getDefaultRole(roles) },
+      }),
+    ]);
+
+    res.status(200).json({ message: "User roles updated", user: updatedUser });
+  } catch (error) {
+    console.error("Error updating user roles:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Activate or deactivate a user. Deactivated users cannot log in and
+ * all their sessions are revoked immediately.
+ * @route PATCH /api/admin/users/:id/status
+ */
+export const updateUserStatus = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { id } = req.params;
+  const { isActive } = req.body;
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(id) },
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!isActive) {
+      if (user.id === req.user.id) {
+        return res
+          .status(400)
+          .json({ message: "You cannot deactivate your own account" });
+      }
+      if (user.roles.includes("ADMIN") && (await isLastActiveAdmin(user.id))) {
+        return res
+          .status(400)
+          .json({ message: "Cannot deactivate the last active admin" });
+      }
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        isActive,
+        deactivatedAt: isActive ? null : new Date(),
+      },
+      select: USER_ADMIN_SELECT,
+    });
+
+    if (!isActive) {
+      await revokeUserSessions(user.id);
+    }
+
+    res.status(200).json({
+      message: isActive ? "User activated" : "User deactivated",
+      user: updatedUser,
+    });
+  } catch (error) {
+    console.error("Error updating user status:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Permanently delete a user.
+ * - Submitted papers must be handed over with ?transferPapersTo=<userId>.
+ * - Submitted reviews are only deleted with ?deleteReviews=true, since they
+ *   are part of the papers' decision record (deactivate the user instead).
+ * - Assignments and the user's feedback messages are removed.
+ * - Login logs, sessions and tokens are removed by cascade.
+ * @route DELETE /api/admin/users/:id
+ */
+export const deleteUser = async (req, res) => {
+  const { id } = req.params;
+  const transferPapersTo = req.query.transferPapersTo
+    ? parseInt(req.query.transferPapersTo)
+    : null;
+  const deleteReviews = req.query.deleteReviews === "true";
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(id) },
+      include: {
+        _count: {
+          select: {
+            papers: true,
+            reviews: true,
+            assignments: true,
+            feedbacks: true,
+          },
+        },
+      },
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.id === req.user.id) {
+      return res
+        .status(400)
+        .json({ message: "You cannot delete your own account" });
+    }
+
+    if (user.roles.includes("ADMIN") && (await isLastActiveAdmin(user.id))) {
+      return res.status(400).json({ message: "Cannot delete the last admin" });
+    }
+
+    const counts = user._count;
+
+    if (counts.papers > 0) {
+      if (!transferPapersTo) {
+        return res.status(409).json({
+          message:
+            "This user has submitted papers. Pass transferPapersTo=<userId> to hand them over, or deactivate the account instead.",
+          counts,
+        });
+      }
+
+      const newOwner = await prisma.user.findUnique({
+        where: { id: transferPapersTo },
+      });
+      if (!newOwner || newOwner.id === user.id) {
+        return res
+          .status(400)
+          .json({ message: "The user to transfer papers to was not found" });
+      }
+    }
+
+    if (counts.reviews > 0 && !deleteReviews) {
+      return res.status(409).json({
+        message:
+          "This user has submitted reviews. Pass deleteReviews=true to delete them, or deactivate the account instead.",
+        counts,
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.paper.updateMany({
+        where: { authorId: user.id },
+        data: { authorId: transferPapersTo ?? user.id },
+      }),
+      prisma.review.deleteMany({ where: { reviewerId: user.id } }),
+      prisma.reviewerAssignment.deleteMany({ where: { reviewerId: user.id } }),
+      prisma.feedback.deleteMany({ where: { senderId: user.id } }),
+      prisma.user.delete({ where: { id: user.id } }),
+    ]);
+
+    res.status(200).json({ message: "User deleted successfully", counts });
+  } catch (error) {
+    console.error("Error deleting user:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
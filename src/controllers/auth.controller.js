@@ -2,10 +2,135 @@ import prisma from "../libs/prisma.js";
 import {
   hashPassword,
   comparePassword,
-  generateToken,
-  setTokenCookie,
+  verifyToken,
+  getDefaultRole,
+  generateChallengeToken,
+  verifyChallengeToken,
+  hashToken,
+  clearAuthCookies,
 } from "../utils/auth.js";
-import { validationResult } from "express-validator";
+import { issueUserToken, consumeUserToken } from "../utils/tokens.js";
+import {
+  startSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  switchSessionRole,
+} from "../utils/session.js";
+import {
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+} from "../utils/loginThrottle.js";
+import { sendEmail } from "../utils/mail.js";
+import {
+  generateTotpSecret,
+  buildOtpauthUri,
+  matchTotpStep,
+  generateBackupCodes,
+} from "../utils/totp.js";
+import { isTwoFactorRequired } from "../utils/twoFactorPolicy.js";
+import { validationResult, matchedData } from "express-validator";
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 48 * 60 * 60 * 1000; // 48 hours
+
+/**
+ * Strips credentials and security bookkeeping from a full user record
+ * before it is sent to the client.
+ * @param {object} user - The user row from the database.
+ * @returns {object}
+ */
+const toSafeUser = (user) => {
+  const {
+    password,
+    failedLoginAttempts,
+    lockedUntil,
+    lastFailedLoginAt,
+    twoFactorSecret,
+    twoFactorBackupCodes,
+    lastTotpStep,
+    ...safeUser
+  } = user;
+  return safeUser;
+};
+
+/**
+ * Accepts a TOTP code at most once: its time step must be newer than the
+ * last one accepted for the user. The step is recorded in the same
+ * conditional update, so a replayed or concurrent use of the code fails.
+ * @param {{ id: number, twoFactorSecret: string | null }} user
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+const useTotpCode = async (user, code) => {
+  const step = matchTotpStep(user.twoFactorSecret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [{ lastTotpStep: null }, { lastTotpStep: { lt: step } }],
+    },
+    data: { lastTotpStep: step },
+  });
+  return count > 0;
+};
+
+/**
+ * Spends one of the user's backup codes. The code is removed in a single
+ * statement that only matches while the code is still there, so two
+ * concurrent logins cannot both use it.
+ * @param {{ id: number }} user
+ * @param {string} backupCode - As typed by the user.
+ * @returns {Promise<boolean>}
+ */
+const useBackupCode = async (user, backupCode) => {
+  const codeHash = hashToken(backupCode.trim().toLowerCase());
+
+  const count = await prisma.$executeRaw`
+    UPDATE "User"
+    SET "twoFactorBackupCodes" = array_remove("twoFactorBackupCodes", ${codeHash})
+    WHERE "id" = ${user.id} AND ${codeHash} = ANY("twoFactorBackupCodes")
+  `;
+  return count > 0;
+};
+
+/**
+ * Emails a fresh verification link to the user.
+ * @param {{ id: number, email: string, firstName: string }} user
+ */
+const sendVerificationEmail = async (user) => {
+  const token = await issueUserToken(
+    user.id,
+    "EMAIL_VERIFICATION",
+    EMAIL_VERIFICATION_TTL_MS
+  );
+
+  const verifyUrl = `${
+    process.env.FRONTEND_URL || "https://icisct.com"
+  }/verify-email?token=${token}`;
+
+  sendEmail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `
+      Hello ${user.firstName},
+
+      Thank you for registering on the Conference Portal.
+      Please confirm your email address by opening the link below. The link is valid for 48 hours.
+
+      ${verifyUrl}
+
+      You will be able to submit papers once your email address is verified.
+
+      Best regards,
+      Conference Admin Team
+    `,
+  }).catch(console.error);
+};
 
 /**
  * Register a new user (AUTHOR).
@@ -25,9 +150,12 @@ export const registerAuthor = async (req, res) => {
     // 2. Check if user already exists
     const existingUser = await prisma.user.findUnique({ where: { email } });
     if (existingUser) {
-      return res
-        .status(400)
-        .json({ message: "User already exists with this email" });
+      // Reviewers/admins who also want to submit papers should log in with
+      // their existing account and switch to the author role instead.
+      return res.status(400).json({
+        message:
+          "User already exists with this email. Please log in and switch to the author role.",
+      });
     }
 
     // 3. Hash the password
@@ -42,7 +170,7 @@ export const registerAuthor = async (req, res) => {
         affiliation,
         email,
         password: hashedPassword,
-        role: "AUTHOR", // Default role for public registration
+        roles: ["AUTHOR"], // Default role for public registration
       },
       select: {
         // Select the data to return (exclude password)
@@ -50,22 +178,25 @@ export const registerAuthor = async (req, res) => {
         email: true,
         firstName: true,
         lastName: true,
-        role: true,
+        roles: true,
         affiliation: true,
+        mustChangePassword: true,
+        emailVerifiedAt: true,
         createdAt: true,
       },
     });
 
-    // 5. Generate JWT
-    const token = generateToken(user.id, user.role);
+    // 5. Send the email verification link
+    await sendVerificationEmail(user);
 
-    // 6. Set token in cookie
-    setTokenCookie(res, token);
+    // 6. Open a session (sets the access and refresh token cookies)
+    await startSession(req, res, user, "AUTHOR");
 
     // 7. Send response
     res.status(201).json({
-      message: "User registered successfully",
-      user,
+      message:
+        "User registered successfully. Please check your email to verify your address.",
+      user: { ...user, role: "AUTHOR" },
     });
   } catch (error) {
     console.error("Registration error:", error);
@@ -73,6 +204,12 @@ export const registerAuthor = async (req, res) => {
   }
 };
 
+// A bcrypt hash (same cost as hashPassword) of a random password no one
+// knows. Unknown emails are checked against it so that they take as long
+// as known ones, and response times do not reveal which accounts exist.
+const DUMMY_PASSWORD_HASH =
+  "$2b$10$mFjhEYliu0.m4RYTlanS0OqPbmIcyK/WXR1YA97NxU0a.1iDFTdJ6";
+
 /**
  * Login a user.
  * @route POST /api/auth/login
@@ -84,55 +221,65 @@ export const loginUser = async (req, res) => {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { email, password } = req.body;
+  const { email, password, role } = req.body; // 'role' optionally picks the starting role
 
   try {
     // 2. Find user by email
     const user = await prisma.user.findUnique({ where: { email } });
-    if (!user) {
-      return res.status(401).json({ message: "Invalid credentials" });
+
+    // 3. Refuse the attempt if this IP or account is being throttled
+    const throttle = await checkLoginAllowed(req, user);
+    if (!throttle.allowed) {
+      res.setHeader("Retry-After", throttle.retryAfterSeconds);
+      return res.status(429).json({
+        message: throttle.message,
+        retryAfterSeconds: throttle.retryAfterSeconds,
+      });
     }
 
-    // 3. Compare passwords
-    const isMatch = await comparePassword(password, user.password);
+    // 4. Compare passwords (always paying the bcrypt cost, see DUMMY_PASSWORD_HASH)
+    const passwordMatches = await comparePassword(
+      password,
+      user ? user.password : DUMMY_PASSWORD_HASH
+    );
+    const isMatch = Boolean(user) && passwordMatches;
     if (!isMatch) {
+      await recordFailedLogin(req, email, user);
       return res.status(401).json({ message: "Invalid credentials" });
     }
-    try {
-      // Handle IP address extraction (works for local & production/proxies)
-      const ipRaw = req.headers["x-forwarded-for"] || req.ip || "Unknown";
-      // If x-forwarded-for returns a list (e.g. "client, proxy"), take the first one
-      const ipAddress = Array.isArray(ipRaw)
-        ? ipRaw[0]
-        : ipRaw.split(",")[0].trim();
-
-      const userAgent = req.headers["user-agent"] || "Unknown";
-
-      await prisma.loginLog.create({
-        data: {
-          userId: user.id,
-          ipAddress: ipAddress,
-          userAgent: userAgent,
-        },
-      });
-    } catch (logError) {
-      // We silently catch logging errors so the user can still log in
-      // even if the log table fails for some reason.
-      console.error("Failed to save login log:", logError);
+
+    if (!user.isActive) {
+      return res
+        .status(403)
+        .json({ message: "Your account has been deactivated" });
     }
 
-    // 4. Generate JWT
-    const token = generateToken(user.id, user.role);
+    // 5. Pick the role the session starts in
+    const activeRole = getDefaultRole(user.roles, role);
+    if (!activeRole) {
+      return res
+        .status(403)
+        .json({ message: `You do not have the ${role} role` });
+    }
 
-    // 5. Set token in cookie
-    setTokenCookie(res, token);
+    // 6. With 2FA enabled, no session yet: the client must complete the
+    //    second step at /api/auth/login/2fa with this challenge token.
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        message: "Two-factor authentication code required",
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user.id, activeRole),
+      });
+    }
 
-    // 6. Send response (excluding password)
-    const { password: _, ...userWithoutPassword } = user;
+    // 7. Log the login and open a session (sets the token cookies)
+    await recordSuccessfulLogin(user);
+    await startSession(req, res, user, activeRole);
 
+    // 8. Send response (excluding password and security bookkeeping)
     res.status(200).json({
       message: "Logged in successfully",
-      user: userWithoutPassword,
+      user: { ...toSafeUser(user), role: activeRole },
     });
   } catch (error) {
     console.error("Login error:", error);
@@ -140,23 +287,122 @@ export const loginUser = async (req, res) => {
   }
 };
 
+/**
+ * Second login step for accounts with two-factor authentication.
+ * Accepts either a TOTP code or one of the user's backup codes.
+ * @route POST /api/auth/login/2fa
+ */
+export const loginWithTwoFactor = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { challengeToken, code, backupCode } = req.body;
+
+  const challenge = verifyChallengeToken(challengeToken);
+  if (!challenge) {
+    return res
+      .status(401)
+      .json({ message: "Login attempt has expired, please log in again" });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: challenge.id } });
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res
+        .status(401)
+        .json({ message: "Login attempt has expired, please log in again" });
+    }
+
+    // Wrong codes count as failed logins, so they are throttled the same way
+    const throttle = await checkLoginAllowed(req, user);
+    if (!throttle.allowed) {
+      res.setHeader("Retry-After", throttle.retryAfterSeconds);
+      return res.status(429).json({
+        message: throttle.message,
+        retryAfterSeconds: throttle.retryAfterSeconds,
+      });
+    }
+
+    // Backup codes and TOTP codes are both single-use
+    const isValid = backupCode
+      ? await useBackupCode(user, backupCode)
+      : await useTotpCode(user, code);
+
+    if (!isValid) {
+      await recordFailedLogin(req, user.email, user);
+      return res
+        .status(401)
+        .json({ message: "Invalid authentication code" });
+    }
+
+    await recordSuccessfulLogin(user);
+    await startSession(req, res, user, challenge.role);
+
+    res.status(200).json({
+      message: "Logged in successfully",
+      user: { ...toSafeUser(user), role: challenge.role },
+    });
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    res.status(500).json({ message: "Server error during login" });
+  }
+};
+
 /**
  * Logout a user.
+ * Revokes the current session server-side and clears the cookies.
  * @route POST /api/auth/logout
  */
-export const logoutUser = (req, res) => {
+export const logoutUser = async (req, res) => {
   res.setHeader(
     "Cache-Control",
     "no-store, no-cache, must-revalidate, private"
   );
-  res.cookie("token", "", {
-    httpOnly: true,
-    secure: true, // MUST match the login cookie
-    sameSite: "none", // MUST match the login cookie
-    expires: new Date(0),
-  });
+
+  try {
+    // The access token may already be expired, so fall back to ignoring its expiry
+    const decoded = verifyToken(req.cookies.token, { ignoreExpiration: true });
+    if (decoded?.sid) {
+      await revokeSession(decoded.sid);
+    }
+  } catch (error) {
+    // Logging out must always succeed for the client
+    console.error("Failed to revoke session on logout:", error);
+  }
+
+  clearAuthCookies(res);
   res.status(200).json({ message: "Logged out successfully" });
 };
+
+/**
+ * Issue a new access token using the refresh token cookie.
+ * The refresh token is rotated on every call.
+ * @route POST /api/auth/refresh
+ */
+export const refreshSession = async (req, res) => {
+  const refreshToken = req.cookies.refreshToken;
+
+  if (!refreshToken) {
+    return res.status(401).json({ message: "Not authorized, no refresh token" });
+  }
+
+  try {
+    const session = await rotateSession(res, refreshToken);
+    if (!session) {
+      clearAuthCookies(res);
+      return res
+        .status(401)
+        .json({ message: "Session has expired, please log in again" });
+    }
+
+    res.status(200).json({ message: "Session refreshed" });
+  } catch (error) {
+    console.error("Refresh session error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
 /**
  * Get the currently authenticated user's profile.
  * @route GET /api/auth/me
@@ -176,3 +422,615 @@ export const getMe = (req, res) => {
   // req.user is attached by the 'protect' middleware
   res.status(200).json(req.user);
 };
+
+/**
+ * Request a password reset link.
+ * Always responds with the same message so the endpoint cannot be used
+ * to find out which emails are registered.
+ * @route POST /api/auth/forgot-password
+ */
+export const forgotPassword = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { email } = req.body;
+  const genericMessage =
+    "If an account exists for this email, a password reset link has been sent.";
+
+  try {
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (!user) {
+      return res.status(200).json({ message: genericMessage });
+    }
+
+    const token = await issueUserToken(
+      user.id,
+      "PASSWORD_RESET",
+      PASSWORD_RESET_TTL_MS
+    );
+
+    const resetUrl = `${
+      process.env.FRONTEND_URL || "https://icisct.com"
+    }/reset-password?token=${token}`;
+
+    sendEmail({
+      to: user.email,
+      subject: "Reset your Conference Portal password",
+      text: `
+        Hello ${user.firstName},
+
+        We received a request to reset the password for your account.
+        Use the link below to choose a new password. The link is valid for 1 hour and can only be used once.
+
+        ${resetUrl}
+
+        If you did not request a password reset, you can safely ignore this email.
+
+        Best regards,
+        Conference Admin Team
+      `,
+    }).catch(console.error);
+
+    res.status(200).json({ message: genericMessage });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Set a new password using a reset token.
+ * @route POST /api/auth/reset-password
+ */
+export const resetPassword = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { token, password } = req.body;
+
+  try {
+    const userId = await consumeUserToken(token, "PASSWORD_RESET");
+    if (!userId) {
+      return res
+        .status(400)
+        .json({ message: "Reset link is invalid or has expired" });
+    }
+
+    // Log out everywhere, in case the old password was compromised
+    await revokeUserSessions(userId);
+
+    const user = await prisma.user.update({
+      where: { id: userId },
+      data: {
+        password: await hashPassword(password),
+        mustChangePassword: false,
+        // Following the emailed link proves the user owns the address
+        emailVerifiedAt: new Date(),
+        // ...and lifts any login lockout
+        failedLoginAttempts: 0,
+        lockedUntil: null,
+      },
+    });
+
+    sendEmail({
+      to: user.email,
+      subject: "Your password has been changed",
+      text: `
+        Hello ${user.firstName},
+
+        The password for your Conference Portal account was just changed.
+
+        If you did not do this, please contact the conference organizers immediately.
+
+        Best regards,
+        Conference Admin Team
+      `,
+    }).catch(console.error);
+
+    res.status(200).json({ message: "Password has been reset successfully" });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Change the logged-in user's password.
+ * Also clears the forced-change flag on system-generated accounts.
+ * @route POST /api/auth/change-password
+ */
+export const changePassword = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { currentPassword, newPassword } = req.body;
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    const isMatch = await comparePassword(currentPassword, user.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: "Current password is incorrect" });
+    }
+
+    if (await comparePassword(newPassword, user.password)) {
+      return res.status(400).json({
+        message: "New password must be different from the current password",
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        password: await hashPassword(newPassword),
+        mustChangePassword: false,
+        // Generated accounts log in with credentials that were emailed to
+        // them, which already proves they own the address.
+        emailVerifiedAt:
+          user.emailVerifiedAt ?? (user.mustChangePassword ? new Date() : null),
+      },
+    });
+
+    // Keep the current session, log out every other device
+    await revokeUserSessions(user.id, req.sessionId);
+
+    res.status(200).json({ message: "Password changed successfully" });
+  } catch (error) {
+    console.error("Change password error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Verify an email address using the emailed token.
+ * @route POST /api/auth/verify-email
+ */
+export const verifyEmail = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const userId = await consumeUserToken(req.body.token, "EMAIL_VERIFICATION");
+    if (!userId) {
+      return res
+        .status(400)
+        .json({ message: "Verification link is invalid or has expired" });
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { emailVerifiedAt: new Date() },
+    });
+
+    res.status(200).json({ message: "Email verified successfully" });
+  } catch (error) {
+    console.error("Email verification error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Send a new verification link to the logged-in user.
+ * @route POST /api/auth/resend-verification
+ */
+export const resendVerificationEmail = async (req, res) => {
+  if (req.user.emailVerifiedAt) {
+    return res.status(400).json({ message: "Email is already verified" });
+  }
+
+  try {
+    await sendVerificationEmail(req.user);
+    res.status(200).json({ message: "Verification email sent" });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * List the logged-in user's active sessions.
+ * @route GET /api/auth/sessions
+ */
+export const getMySessions = async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      select: {
+        id: true,
+        ipAddress: true,
+        userAgent: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true,
+      },
+      orderBy: { lastUsedAt: "desc" },
+    });
+
+    res.status(200).json(
+      sessions.map((session) => ({
+        ...session,
+        isCurrent: session.id === req.sessionId,
+      }))
+    );
+  } catch (error) {
+    console.error("Error fetching sessions:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Revoke one of the logged-in user's sessions (e.g., a lost device).
+ * @route DELETE /api/auth/sessions/:sessionId
+ */
+export const revokeMySession = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const sessionId = parseInt(req.params.sessionId);
+
+  try {
+    const session = await prisma.session.findFirst({
+      where: { id: sessionId, userId: req.user.id },
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    await revokeSession(session.id);
+
+    if (session.id === req.sessionId) {
+      clearAuthCookies(res);
+    }
+
+    res.status(200).json({ message: "Session revoked" });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Switch the role the current session acts in (for users with several roles).
+ * Anyone may take on the AUTHOR role, since author registration is public.
+ * @route POST /api/auth/switch-role
+ */
+export const switchRole = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { role } = req.body;
+
+  try {
+    let roles = req.user.roles;
+
+    if (!roles.includes(role)) {
+      if (role !== "AUTHOR") {
+        return res
+          .status(403)
+          .json({ message: `You do not have the ${role} role` });
+      }
+
+      ({ roles } = await prisma.user.update({
+        where: { id: req.user.id },
+        data: { roles: { push: "AUTHOR" } },
+        select: { roles: true },
+      }));
+    }
+
+    await switchSessionRole(res, req.user.id, req.sessionId, role);
+
+    res.status(200).json({
+      message: `Switched to the ${role} role`,
+      user: { ...req.user, roles, role },
+    });
+  } catch (error) {
+    console.error("Switch role error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Start two-factor enrollment: generates a new secret and returns the
+ * otpauth URI for the authenticator app. 2FA is not active until confirmed.
+ * @route POST /api/auth/2fa/setup
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    if (user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateTotpSecret();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorSecret: secret },
+    });
+
+    res.status(200).json({
+      message: "Scan the QR code with your authenticator app, then confirm with a code",
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email),
+    });
+  } catch (error) {
+    console.error("Two-factor setup error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app.
+ * Returns the backup codes; they are only shown this once.
+ * @route POST /api/auth/2fa/enable
+ */
+export const enableTwoFactor = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    if (user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res
+        .status(400)
+        .json({ message: "Start two-factor setup before enabling it" });
+    }
+
+    if (!(await useTotpCode(user, req.body.code))) {
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+
+    const backupCodes = generateBackupCodes();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorBackupCodes: backupCodes.map(hashToken),
+      },
+    });
+
+    res.status(200).json({
+      message: "Two-factor authentication enabled. Store your backup codes safely.",
+      backupCodes,
+    });
+  } catch (error) {
+    console.error("Two-factor enable error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Turn off two-factor authentication (not allowed when an admin requires it).
+ * @route POST /api/auth/2fa/disable
+ */
+export const disableTwoFactor = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { password, code } = req.body;
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    if (!user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        message: "Two-factor authentication is required for your account",
+      });
+    }
+
+    const isMatch = await comparePassword(password, user.password);
+    if (!isMatch || !(await useTotpCode(user, code))) {
+      return res
+        .status(400)
+        .json({ message: "Invalid password or authentication code" });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorBackupCodes: [],
+      },
+    });
+
+    res.status(200).json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("Two-factor disable error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Replace the backup codes (e.g., after using several of them).
+ * @route POST /api/auth/2fa/backup-codes
+ */
+export const regenerateBackupCodes = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    if (!user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (!(await useTotpCode(user, req.body.code))) {
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+
+    const backupCodes = generateBackupCodes();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorBackupCodes: backupCodes.map(hashToken) },
+    });
+
+    res.status(200).json({ message: "New backup codes generated", backupCodes });
+  } catch (error) {
+    console.error("Backup code regeneration error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Copies a user's name and affiliation to the author entries listed under
+ * their email (in any letter case) on papers of non-archived conferences,
+ * logging the change on each paper like an edit of its author list.
+ * @param {{ id: number, email: string, firstName: string, middleName?: string | null, lastName: string, affiliation?: string | null }} user
+ * @returns {Promise<number>} - How many author entries were updated.
+ */
+const syncAuthorEntries = async (user) => {
+  const name = [user.firstName, user.middleName, user.lastName]
+    .filter(Boolean)
+    .join(" ");
+  const institute = user.affiliation || null;
+  const where = {
+    email: { equals: user.email, mode: "insensitive" },
+    paper: { conference: { archivedAt: null } },
+  };
+
+  const papers = await prisma.paper.findMany({
+    where: { authors: { some: where } },
+    select: { id: true, authors: { orderBy: { id: "asc" } } },
+  });
+
+  const toSnapshot = (author) => ({
+    salutation: author.salutation || null,
+    name: author.name,
+    email: author.email || null,
+    institute: author.institute || null,
+    isCorresponding: Boolean(author.isCorresponding),
+  });
+  const isUser = (author) =>
+    author.email?.toLowerCase() === user.email.toLowerCase();
+
+  const changes = papers
+    .map((paper) => ({
+      paperId: paper.id,
+      oldValue: paper.authors.map(toSnapshot),
+      newValue: paper.authors.map((author) =>
+        toSnapshot(isUser(author) ? { ...author, name, institute } : author)
+      ),
+    }))
+    .filter(
+      (change) =>
+        JSON.stringify(change.oldValue) !== JSON.stringify(change.newValue)
+    );
+
+  if (changes.length === 0) {
+    return 0;
+  }
+
+  const [{ count }] = await prisma.$transaction([
+    prisma.author.updateMany({
+      where: { ...where, paperId: { in: changes.map((c) => c.paperId) } },
+      data: { name, institute },
+    }),
+    prisma.paperChangeLog.createMany({
+      data: changes.map((change) => ({
+        paperId: change.paperId,
+        changedById: user.id,
+        field: "authors",
+        oldValue: change.oldValue,
+        newValue: change.newValue,
+      })),
+    }),
+  ]);
+
+  return count;
+};
+
+/**
+ * Update the logged-in user's profile.
+ * With `syncAuthors: true`, the author entries listed under the user's
+ * email on papers are updated to the new name and affiliation as well
+ * (except in archived conferences).
+ * @route PATCH /api/auth/me
+ */
+export const updateMyProfile = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  // Only the validated profile fields (unknown fields are ignored);
+  // optionals are included so that sending null clears a field.
+  const { syncAuthors, ...data } = matchedData(req, {
+    locations: ["body"],
+    includeOptionals: true,
+  });
+
+  try {
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data,
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        middleName: true,
+        lastName: true,
+        affiliation: true,
+        country: true,
+        phone: true,
+        orcid: true,
+        roles: true,
+      },
+    });
+
+    let syncedAuthorCount = 0;
+    if (syncAuthors) {
+      syncedAuthorCount = await syncAuthorEntries(user);
+    }
+
+    res.status(200).json({
+      message: "Profile updated successfully",
+      user: { ...user, role: req.user.role },
+      syncedAuthorCount,
+    });
+  } catch (error) {
+    console.error("Update profile error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
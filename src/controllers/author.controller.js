@@ -1,19 +1,240 @@
 import prisma from "../libs/prisma.js";
 import { validationResult } from "express-validator";
-import { v2 as cloudinary } from "cloudinary";
+import { withDownloadLinks } from "../utils/files.js";
+import { flagSimilarPapers } from "../utils/similarity.js";
 import { sendEmail } from "../utils/mail.js";
+import { deleteFile } from "../libs/storage/index.js";
 import bcrypt from "bcrypt";
 
-// Configure Cloudinary (needed for deleting files)
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+/**
+ * Deletes an uploaded file from storage when the request it came with is
+ * rejected, without failing the request if the cleanup fails.
+ * @param {object} [file] - The stored multer file (req.file).
+ */
+const discardUploadedFile = async (file) => {
+  if (!file?.path) {
+    return;
+  }
+
+  try {
+    console.log(`Attempting to delete orphaned file: ${file.filename}`);
+    await deleteFile(file.path);
+  } catch (cleanupError) {
+    console.error("--- CLEANUP FAILED ---");
+    console.error(`Failed to delete file ${file.filename}:`, cleanupError);
+  }
+};
+
+/**
+ * The results of validateManuscript, as PaperVersion fields.
+ * @param {object} file - The stored multer file (req.file).
+ * @returns {{ pageCount?: number, warnings?: string[] }}
+ */
+const inspectionFields = (file) => {
+  const { pageCount, warnings = [] } = file.inspection || {};
+  return {
+    pageCount: pageCount ?? undefined,
+    warnings: warnings.length > 0 ? warnings : undefined, // Json? fields take undefined, not null
+  };
+};
+
+/**
+ * Parses a list of IDs sent as a JSON array ("[1,2]"), a repeated form
+ * field, or a comma-separated string.
+ * @param {string | string[] | number[]} [value]
+ * @returns {number[]}
+ */
+const parseIdList = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return [];
+  }
+
+  let list = value;
+  if (typeof value === "string") {
+    try {
+      list = JSON.parse(value);
+    } catch {
+      list = value.split(",");
+    }
+  }
+
+  return [].concat(list).map((id) => parseInt(id));
+};
 
 /**
- * Submit a new paper.
- * @route POST /api/author/papers/submit
+ * Checks the track and topic areas picked on the submission form against
+ * the conference's taxonomy. A track and at least one topic are required
+ * once the conference has any configured.
+ * @param {number} conferenceId
+ * @param {string | number} [trackId]
+ * @param {string | string[]} [topicIds]
+ * @returns {Promise<{ error?: string, track?: object, topics?: object[] }>}
+ */
+const resolveTaxonomy = async (conferenceId, trackId, topicIds) => {
+  const [tracks, topics] = await Promise.all([
+    prisma.track.findMany({ where: { conferenceId, isActive: true } }),
+    prisma.topicArea.findMany({ where: { conferenceId, isActive: true } }),
+  ]);
+
+  let track = null;
+  if (trackId) {
+    track = tracks.find((t) => t.id === parseInt(trackId));
+    if (!track) {
+      return { error: "Please select one of the conference's tracks" };
+    }
+  } else if (tracks.length > 0) {
+    return { error: "A track is required" };
+  }
+
+  const ids = [...new Set(parseIdList(topicIds))];
+  const selectedTopics = topics.filter((t) => ids.includes(t.id));
+  if (selectedTopics.length !== ids.length) {
+    return { error: "Please select topic areas from the list" };
+  }
+  if (topics.length > 0 && selectedTopics.length === 0) {
+    return { error: "At least one topic area is required" };
+  }
+
+  return { track, topics: selectedTopics };
+};
+
+/**
+ * Notifies the authors listed on a paper, following the submission rules:
+ * corresponding authors get an account (or the AUTHOR role on their existing
+ * one), other co-authors get an FYI email. The submitter is skipped.
+ * @param {{ id: number, title: string }} paper
+ * @param {object[]} authors - The Author rows to notify.
+ * @param {{ email: string, firstName: string, lastName: string }} submitter
+ */
+const notifyListedAuthors = async (paper, authors, submitter) => {
+  const dashboardUrl =
+    process.env.DASHBOARD_URL || "https://icisct.com/author/dashboard/";
+
+  for (const author of authors) {
+    // SKIP THE SUBMITTER (they get their own receipt) and authors without an email
+    if (!author.email || author.email === submitter.email) {
+      continue;
+    }
+
+    // ----------------------------------------------------------
+    // CASE A: CORRESPONDING AUTHORS (Need Accounts/Login Access)
+    // ----------------------------------------------------------
+    if (author.isCorresponding) {
+      const existingUser = await prisma.user.findUnique({
+        where: { email: author.email },
+      });
+
+      if (!existingUser) {
+        // --- CREATE NEW ACCOUNT ---
+        const tempPassword = Math.random().toString(36).slice(-8);
+        const salt = await bcrypt.genSalt(10);
+        const hashedPassword = await bcrypt.hash(tempPassword, salt);
+        const nameParts = author.name.split(" ");
+        const firstName = nameParts[0];
+        const lastName =
+          nameParts.length > 1
+            ? nameParts.slice(1).join(" ")
+            : "(No Last Name)";
+
+        try {
+          await prisma.user.create({
+            data: {
+              firstName,
+              lastName,
+              email: author.email,
+              affiliation: author.institute,
+              password: hashedPassword,
+              roles: ["AUTHOR"],
+              mustChangePassword: true,
+            },
+          });
+
+          // Send "Account Created" Email
+          await sendEmail({
+            to: author.email,
+            subject: "Your Account for the Conference Portal",
+            text: `
+              Hello ${author.salutation || ""} ${author.name},
+              
+              You have been listed as a CORRESPONDING AUTHOR for the paper:
+              "${paper.title}" (ID: ${paper.id})
+              
+              An account has been created for you to manage this submission.
+              
+              Email: ${author.email}
+              Password: ${tempPassword}
+              URL: ${dashboardUrl}
+              
+              You will be asked to choose a new password when you first log in.
+              
+              Best regards,
+              Conference Admin Team
+            `,
+          }).catch(console.error);
+        } catch (createUserError) {
+          console.error(
+            `Failed to create user for ${author.email}`,
+            createUserError
+          );
+        }
+      } else {
+        // --- USER EXISTS: MAKE SURE THEY CAN ACT AS AN AUTHOR, THEN NOTIFY ---
+        if (!existingUser.roles.includes("AUTHOR")) {
+          await prisma.user.update({
+            where: { id: existingUser.id },
+            data: { roles: { push: "AUTHOR" } },
+          });
+        }
+
+        await sendEmail({
+          to: author.email,
+          subject: "You are listed as a Corresponding Author",
+          text: `
+            Hello ${author.salutation || ""} ${author.name},
+            
+            You have been listed as a corresponding author for a paper submission:
+            "${paper.title}" (ID: ${paper.id})
+            
+            This paper has been added to your dashboard. You can log in to your existing account to view it:
+            URL: ${dashboardUrl}
+            
+            Best regards,
+            Conference Admin Team
+          `,
+        }).catch(console.error);
+      }
+    }
+
+    // ----------------------------------------------------------
+    // CASE B: NON-CORRESPONDING (REGULAR) CO-AUTHORS
+    // ----------------------------------------------------------
+    else {
+      // Just a simple FYI email. No login info needed.
+      await sendEmail({
+        to: author.email,
+        subject: `[Co-Author Notification] You were listed on a paper`,
+        text: `
+          Hello ${author.salutation || ""} ${author.name},
+
+          This is an automated notification to inform you that you have been listed as a co-author on a paper submission.
+
+          Paper Title: "${paper.title}"
+          Submitted By: ${submitter.firstName} ${submitter.lastName}
+          
+          No action is required from you.
+
+          Best regards,
+          Conference Admin Team
+        `,
+      }).catch(console.error);
+    }
+  }
+};
+
+/**
+ * Submit a new paper to the conference.
+ * @route POST /api/author/conferences/:conferenceId/papers/submit
+ * @route POST /api/author/papers/submit (current conference)
  */
 export const submitPaper = async (req, res) => {
   // --- FIX #1: Added logging to find the *original* error ---
@@ -25,6 +246,8 @@ export const submitPaper = async (req, res) => {
 
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
+    // The file was stored before the fields could be validated
+    await discardUploadedFile(req.file);
     return res.status(400).json({ errors: errors.array() });
   }
 
@@ -32,18 +255,39 @@ export const submitPaper = async (req, res) => {
     return res.status(400).json({ message: "Paper file is required" });
   }
 
-  const { title, abstract, keywords, topicArea, authors } = req.body;
+  const { title, abstract, keywords, trackId, topicIds, authors } = req.body;
   const authorId = req.user.id; // This is the submitter
 
   try {
+    const taxonomy = await resolveTaxonomy(req.conference.id, trackId, topicIds);
+    if (taxonomy.error) {
+      await discardUploadedFile(req.file);
+      return res.status(400).json({ message: taxonomy.error });
+    }
+
     const newPaper = await prisma.paper.create({
       data: {
         title,
         abstract,
-        fileUrl: req.file.path, // URL from Cloudinary
+        fileUrl: req.file.path, // URL from the storage driver
         keywords,
-        topicArea,
+        // Free-text copy of the topic names for older clients and reports
+        topicArea:
+          taxonomy.topics.map((topic) => topic.name).join(", ") || null,
         authorId: authorId,
+        conferenceId: req.conference.id,
+        trackId: taxonomy.track?.id,
+        topics: {
+          create: taxonomy.topics.map((topic) => ({ topicAreaId: topic.id })),
+        },
+        versions: {
+          create: {
+            round: 1,
+            fileUrl: req.file.path,
+            uploadedById: authorId,
+            ...inspectionFields(req.file),
+          },
+        },
         authors: authors
           ? {
               create: JSON.parse(authors).map((author) => ({
@@ -58,17 +302,22 @@ export const submitPaper = async (req, res) => {
       },
       include: {
         authors: true, // Need this for the email logic
+        track: true,
+        topics: { include: { topicArea: true } },
       },
     });
 
+    // Likely duplicates are flagged for the admins; this must not hold up the submission
+    flagSimilarPapers(newPaper).catch((error) =>
+      console.error("Duplicate check failed:", error)
+    );
+
     // --- Create accounts for corresponding authors ---
 
     const correspondingAuthors = newPaper.authors.filter(
       (a) => a.isCorresponding && a.email
     );
 
-    const dashboardUrl =
-      process.env.DASHBOARD_URL || "https://icisct.com/author/dashboard/";
     // ============================================================
     // 1. SEND RECEIPT TO THE SUBMITTER (Logged-in User)
     // ============================================================
@@ -100,119 +349,8 @@ export const submitPaper = async (req, res) => {
     // ============================================================
     // 2. NOTIFY ALL OTHER AUTHORS (Corresponding & Non-Corresponding)
     // ============================================================
+    await notifyListedAuthors(newPaper, newPaper.authors, req.user);
 
-    // Loop through EVERYONE listed in the form
-    for (const author of newPaper.authors) {
-      // SKIP THE SUBMITTER (We already sent them the receipt above)
-      if (author.email === req.user.email) {
-        continue;
-      }
-
-      // ----------------------------------------------------------
-      // CASE A: CORRESPONDING AUTHORS (Need Accounts/Login Access)
-      // ----------------------------------------------------------
-      if (author.isCorresponding) {
-        const existingUser = await prisma.user.findUnique({
-          where: { email: author.email },
-        });
-
-        if (!existingUser) {
-          // --- CREATE NEW ACCOUNT ---
-          const tempPassword = Math.random().toString(36).slice(-8);
-          const salt = await bcrypt.genSalt(10);
-          const hashedPassword = await bcrypt.hash(tempPassword, salt);
-          const nameParts = author.name.split(" ");
-          const firstName = nameParts[0];
-          const lastName =
-            nameParts.length > 1
-              ? nameParts.slice(1).join(" ")
-              : "(No Last Name)";
-
-          try {
-            await prisma.user.create({
-              data: {
-                firstName,
-                lastName,
-                email: author.email,
-                affiliation: author.institute,
-                password: hashedPassword,
-                role: "AUTHOR",
-              },
-            });
-
-            // Send "Account Created" Email
-            await sendEmail({
-              to: author.email,
-              subject: "Your Account for the Conference Portal",
-              text: `
-                Hello ${author.salutation || ""} ${author.name},
-                
-                You have been listed as a CORRESPONDING AUTHOR for the paper:
-                "${newPaper.title}" (ID: ${newPaper.id})
-                
-                An account has been created for you to manage this submission.
-                
-                Email: ${author.email}
-                Password: ${tempPassword}
-                URL: ${dashboardUrl}
-                
-                Please change your password after logging in.
-                
-                Best regards,
-                Conference Admin Team
-              `,
-            }).catch(console.error);
-          } catch (createUserError) {
-            console.error(
-              `Failed to create user for ${author.email}`,
-              createUserError
-            );
-          }
-        } else {
-          // --- USER EXISTS: JUST NOTIFY ---
-          await sendEmail({
-            to: author.email,
-            subject: "You are listed as a Corresponding Author",
-            text: `
-              Hello ${author.salutation || ""} ${author.name},
-              
-              You have been listed as a corresponding author for a new paper submission:
-              "${newPaper.title}" (ID: ${newPaper.id})
-              
-              This paper has been added to your dashboard. You can log in to your existing account to view it:
-              URL: ${dashboardUrl}
-              
-              Best regards,
-              Conference Admin Team
-            `,
-          }).catch(console.error);
-        }
-      }
-
-      // ----------------------------------------------------------
-      // CASE B: NON-CORRESPONDING (REGULAR) CO-AUTHORS
-      // ----------------------------------------------------------
-      else {
-        // Just a simple FYI email. No login info needed.
-        await sendEmail({
-          to: author.email,
-          subject: `[Co-Author Notification] You were listed on a paper`,
-          text: `
-            Hello ${author.salutation || ""} ${author.name},
-
-            This is an automated notification to inform you that you have been listed as a co-author on a new paper submission.
-
-            Paper Title: "${newPaper.title}"
-            Submitted By: ${req.user.firstName} ${req.user.lastName}
-            
-            No action is required from you.
-
-            Best regards,
-            Conference Admin Team
-          `,
-        }).catch(console.error);
-      }
-    }
     // for (const author of correspondingAuthors) {
     //   // if (author.email === req.user.email) {
     //   //   continue;
@@ -305,7 +443,7 @@ export const submitPaper = async (req, res) => {
       });
 
       const admins = await prisma.user.findMany({
-        where: { role: "ADMIN" },
+        where: { roles: { has: "ADMIN" } },
         select: { email: true, firstName: true },
       });
 
@@ -322,6 +460,7 @@ export const submitPaper = async (req, res) => {
             
             A new paper has been submitted and is awaiting your approval.
             
+            Conference: ${req.conference.name}
             Paper Title: ${newPaper.title}
             Paper ID: ${newPaper.id}
             Submitted By: ${submitter.firstName} ${submitter.lastName} (${
@@ -342,37 +481,26 @@ export const submitPaper = async (req, res) => {
       console.error("Failed to send email to admins:", adminEmailError);
     }
 
-    res
-      .status(201)
-      .json({ message: "Paper submitted successfully", paper: newPaper });
+    res.status(201).json({
+      message: "Paper submitted successfully",
+      paper: withDownloadLinks(newPaper),
+      warnings: req.file.inspection?.warnings || [],
+    });
   } catch (error) {
     // --- FIX #2: The error handling block is now safe ---
     console.error("--- ORIGINAL ERROR (from prisma.create) ---:", error);
 
-    // Try to delete the file from Cloudinary, but don't crash if it fails
-    if (req.file) {
-      try {
-        // `req.file.filename` *is* the public_id (e.g., "conference_papers/my-file-123")
-        // No need to build the path manually.
-        const publicId = req.file.filename;
-        console.log(`Attempting to delete orphaned file: ${publicId}`);
-        await cloudinary.uploader.destroy(publicId, { resource_type: "raw" });
-      } catch (cleanupError) {
-        console.error("--- CLEANUP FAILED ---");
-        console.error(
-          `Failed to delete file ${req.file.filename} from Cloudinary:`,
-          cleanupError
-        );
-      }
-    }
+    // Try to delete the stored file, but don't crash if it fails
+    await discardUploadedFile(req.file);
 
     // Send the *original* error message to the client
     res.status(500).json({ message: "Server error", details: error.message });
   }
 };
 /**
- * Get all papers submitted by the logged-in author.
- * @route GET /api/author/papers
+ * Get all papers the logged-in author submitted to the conference.
+ * @route GET /api/author/conferences/:conferenceId/papers
+ * @route GET /api/author/papers (current conference)
  */
 export const getSubmittedPapers = async (req, res) => {
   const authorId = req.user.id;
@@ -382,6 +510,7 @@ export const getSubmittedPapers = async (req, res) => {
     const papers = await prisma.paper.findMany({
       // <-- FIX: Show papers if user is submitter OR listed as an author
       where: {
+        conferenceId: req.conference.id,
         OR: [
           { authorId: authorId },
           {
@@ -395,6 +524,8 @@ export const getSubmittedPapers = async (req, res) => {
       },
       include: {
         authors: true,
+        track: { select: { id: true, name: true } },
+        topics: { select: { topicArea: { select: { id: true, name: true } } } },
         _count: {
           select: { reviews: true },
         },
@@ -404,7 +535,7 @@ export const getSubmittedPapers = async (req, res) => {
       },
     });
 
-    res.status(200).json(papers);
+    res.status(200).json(papers.map(withDownloadLinks));
   } catch (error) {
     console.error("Error fetching submitted papers:", error);
     res.status(500).json({ message: "Server error" });
@@ -413,7 +544,8 @@ export const getSubmittedPapers = async (req, res) => {
 
 /**
  * Get a single submitted paper by ID (for the author).
- * @route GET /api/author/papers/:paperId
+ * @route GET /api/author/conferences/:conferenceId/papers/:paperId
+ * @route GET /api/author/papers/:paperId (current conference)
  */
 export const getAuthorPaperById = async (req, res) => {
   const authorId = req.user.id;
@@ -425,6 +557,7 @@ export const getAuthorPaperById = async (req, res) => {
       // <-- FIX: Allow access if user is submitter OR listed as an author
       where: {
         id: parseInt(paperId),
+        conferenceId: req.conference.id,
         OR: [
           { authorId: authorId },
           {
@@ -438,14 +571,36 @@ export const getAuthorPaperById = async (req, res) => {
       },
       include: {
         authors: true,
+        track: { select: { id: true, name: true } },
+        topics: { select: { topicArea: { select: { id: true, name: true } } } },
         reviews: {
           select: {
             id: true,
             comments: true,
             recommendation: true,
+            totalScore: true,
+            answers: {
+              select: {
+                score: true,
+                text: true,
+                criterion: { select: { label: true, type: true } },
+              },
+            },
             reviewedAt: true,
           },
         },
+        versions: {
+          select: {
+            id: true,
+            round: true,
+            fileUrl: true,
+            changeNote: true,
+            pageCount: true,
+            warnings: true,
+            uploadedAt: true,
+          },
+          orderBy: { round: "asc" },
+        },
         feedbacks: {
           include: {
             sender: {
@@ -453,7 +608,7 @@ export const getAuthorPaperById = async (req, res) => {
                 id: true,
                 firstName: true,
                 lastName: true,
-                role: true,
+                roles: true,
               },
             },
           },
@@ -461,6 +616,9 @@ export const getAuthorPaperById = async (req, res) => {
             sentAt: "asc",
           },
         },
+        deadlineExtensions: {
+          select: { phase: true, extendedUntil: true },
+        },
       },
     });
 
@@ -470,16 +628,188 @@ export const getAuthorPaperById = async (req, res) => {
         .json({ message: "Paper not found or you do not have access." });
     }
 
-    res.status(200).json(paper);
+    res.status(200).json(withDownloadLinks(paper));
   } catch (error) {
     console.error("Error fetching paper details:", error);
     res.status(500).json({ message: "Server error" });
   }
 };
 
+// Paper details can be edited until the paper goes to the reviewers
+const EDITABLE_STATUSES = ["PENDING_APPROVAL", "PENDING_REVIEW"];
+
+/**
+ * Edit a paper's metadata and author list before it goes to review.
+ * Every changed field is recorded in the paper's change log. Newly listed
+ * authors (and authors newly made corresponding) are notified the same way
+ * as on submission.
+ * @route PATCH /api/author/conferences/:conferenceId/papers/:paperId
+ * @route PATCH /api/author/papers/:paperId (current conference)
+ */
+export const updatePaperDetails = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { paperId } = req.params;
+  const { trackId, topicIds, authors } = req.body;
+  const authorId = req.user.id;
+
+  try {
+    const paper = await prisma.paper.findFirst({
+      where: {
+        id: parseInt(paperId),
+        conferenceId: req.conference.id,
+        authorId: authorId, // Only the primary submitter can edit
+      },
+      include: {
+        authors: true,
+        track: true,
+        topics: { include: { topicArea: true } },
+      },
+    });
+
+    if (!paper) {
+      return res.status(404).json({
+        message: "Paper not found or you are not the primary author.",
+      });
+    }
+
+    if (!EDITABLE_STATUSES.includes(paper.status)) {
+      return res.status(400).json({
+        message: `Paper details cannot be edited with status: ${paper.status}`,
+      });
+    }
+
+    const data = {};
+    const changes = [];
+
+    for (const field of ["title", "abstract", "keywords"]) {
+      if (req.body[field] !== undefined && req.body[field] !== paper[field]) {
+        data[field] = req.body[field];
+        changes.push({ field, oldValue: paper[field], newValue: req.body[field] });
+      }
+    }
+
+    if (trackId !== undefined || topicIds !== undefined) {
+      const taxonomy = await resolveTaxonomy(
+        req.conference.id,
+        trackId !== undefined ? trackId : paper.trackId,
+        topicIds !== undefined
+          ? topicIds
+          : paper.topics.map((topic) => topic.topicAreaId)
+      );
+      if (taxonomy.error) {
+        return res.status(400).json({ message: taxonomy.error });
+      }
+
+      const newTrackId = taxonomy.track?.id ?? null;
+      if (newTrackId !== paper.trackId) {
+        data.trackId = newTrackId;
+        changes.push({
+          field: "track",
+          oldValue: paper.track?.name ?? null,
+          newValue: taxonomy.track?.name ?? null,
+        });
+      }
+
+      const oldTopics = paper.topics.map((topic) => topic.topicArea.name).sort();
+      const newTopics = taxonomy.topics.map((topic) => topic.name).sort();
+      if (oldTopics.join("\n") !== newTopics.join("\n")) {
+        data.topics = {
+          deleteMany: {},
+          create: taxonomy.topics.map((topic) => ({ topicAreaId: topic.id })),
+        };
+        data.topicArea = newTopics.join(", ") || null;
+        changes.push({ field: "topics", oldValue: oldTopics, newValue: newTopics });
+      }
+    }
+
+    // The author list is replaced as a whole
+    let authorsToNotify = [];
+    if (authors !== undefined) {
+      const toSnapshot = (author) => ({
+        salutation: author.salutation || null,
+        name: author.name,
+        email: author.email || null,
+        institute: author.institute || null,
+        isCorresponding: Boolean(author.isCorresponding),
+      });
+      const oldAuthors = paper.authors.map(toSnapshot);
+      const newAuthors = authors.map(toSnapshot);
+
+      if (JSON.stringify(oldAuthors) !== JSON.stringify(newAuthors)) {
+        data.authors = { deleteMany: {}, create: newAuthors };
+        changes.push({ field: "authors", oldValue: oldAuthors, newValue: newAuthors });
+
+        const previous = new Map(
+          oldAuthors
+            .filter((author) => author.email)
+            .map((author) => [author.email.toLowerCase(), author])
+        );
+        authorsToNotify = newAuthors.filter((author) => {
+          if (!author.email) {
+            return false;
+          }
+          const before = previous.get(author.email.toLowerCase());
+          return !before || (author.isCorresponding && !before.isCorresponding);
+        });
+      }
+    }
+
+    if (changes.length === 0) {
+      return res
+        .status(200)
+        .json({ message: "No changes to save", paper: withDownloadLinks(paper) });
+    }
+
+    const [updatedPaper] = await prisma.$transaction([
+      prisma.paper.update({
+        where: { id: paper.id },
+        data,
+        include: {
+          authors: true,
+          track: { select: { id: true, name: true } },
+          topics: { select: { topicArea: { select: { id: true, name: true } } } },
+        },
+      }),
+      prisma.paperChangeLog.createMany({
+        data: changes.map((change) => ({
+          paperId: paper.id,
+          changedById: authorId,
+          field: change.field,
+          // Left out (rather than null) when empty, so the column stays SQL NULL
+          oldValue: change.oldValue ?? undefined,
+          newValue: change.newValue ?? undefined,
+        })),
+      }),
+    ]);
+
+    await notifyListedAuthors(updatedPaper, authorsToNotify, req.user);
+
+    // A new title, abstract or keywords may match (or no longer match) other papers
+    if (["title", "abstract", "keywords"].some((field) => field in data)) {
+      flagSimilarPapers(updatedPaper).catch((error) =>
+        console.error("Duplicate check failed:", error)
+      );
+    }
+
+    res.status(200).json({
+      message: "Paper updated successfully",
+      paper: withDownloadLinks(updatedPaper),
+      changedFields: changes.map((change) => change.field),
+    });
+  } catch (error) {
+    console.error("Error updating paper details:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
 /**
  * Submit a feedback message for a paper (Author's reply).
- * @route POST /api/author/papers/:paperId/feedback
+ * @route POST /api/author/conferences/:conferenceId/papers/:paperId/feedback
+ * @route POST /api/author/papers/:paperId/feedback (current conference)
  */
 export const submitFeedback = async (req, res) => {
   const errors = validationResult(req);
@@ -497,6 +827,7 @@ export const submitFeedback = async (req, res) => {
     const paper = await prisma.paper.findFirst({
       where: {
         id: parseInt(paperId),
+        conferenceId: req.conference.id,
         OR: [
           { authorId: senderId },
           {
@@ -521,6 +852,7 @@ export const submitFeedback = async (req, res) => {
       data: {
         paperId: parseInt(paperId),
         senderId: senderId,
+        senderRole: req.user.role,
         message: message,
       },
     });
@@ -534,10 +866,20 @@ export const submitFeedback = async (req, res) => {
 
 /**
  * Resubmit a paper with revisions.
- * @route POST /api/author/papers/:paperId/resubmit
+ * The revised file is added as a new version; earlier versions are kept.
+ * @route POST /api/author/conferences/:conferenceId/papers/:paperId/resubmit
+ * @route POST /api/author/papers/:paperId/resubmit (current conference)
  */
 export const resubmitPaper = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    // The file was stored before the fields could be validated
+    await discardUploadedFile(req.file);
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   const { paperId } = req.params;
+  const { changeNote } = req.body;
   const authorId = req.user.id;
 
   if (!req.file) {
@@ -551,6 +893,7 @@ export const resubmitPaper = async (req, res) => {
     const paper = await prisma.paper.findFirst({
       where: {
         id: parseInt(paperId),
+        conferenceId: req.conference.id,
         authorId: authorId,
         // NOTE: We only allow the *original submitter* to resubmit
         // This is a business logic choice to avoid conflicts.
@@ -558,21 +901,26 @@ export const resubmitPaper = async (req, res) => {
     });
 
     if (!paper) {
+      await discardUploadedFile(req.file);
       return res.status(404).json({
         message: "Paper not found or you are not the primary author.",
       });
     }
 
     if (paper.status !== "REVISION_REQUIRED") {
-      const publicId = `conference_papers/${req.file.filename.split(".")[0]}`;
-      await cloudinary.uploader.destroy(publicId, { resource_type: "raw" });
+      await discardUploadedFile(req.file);
       return res.status(400).json({
         message: `Paper cannot be resubmitted with status: ${paper.status}`,
       });
     }
 
-    const oldFileUrl = paper.fileUrl;
+    const latestVersion = await prisma.paperVersion.findFirst({
+      where: { paperId: paper.id },
+      orderBy: { round: "desc" },
+      select: { round: true },
+    });
 
+    // The old file is kept as an earlier version so reviewers can compare
     const updatedPaper = await prisma.paper.update({
       where: {
         id: parseInt(paperId),
@@ -580,26 +928,32 @@ export const resubmitPaper = async (req, res) => {
       data: {
         fileUrl: req.file.path,
         status: "RESUBMITTED",
+        versions: {
+          create: {
+            round: (latestVersion?.round || 0) + 1,
+            fileUrl: req.file.path,
+            changeNote: changeNote || null,
+            uploadedById: authorId,
+            ...inspectionFields(req.file),
+          },
+        },
+      },
+      include: {
+        versions: {
+          select: {
+            id: true,
+            round: true,
+            fileUrl: true,
+            changeNote: true,
+            pageCount: true,
+            warnings: true,
+            uploadedAt: true,
+          },
+          orderBy: { round: "asc" },
+        },
       },
     });
 
-    // 5. Delete the *old* file from Cloudinary
-    if (oldFileUrl) {
-      try {
-        const urlParts = oldFileUrl.split("/");
-        const publicId = urlParts
-          .slice(urlParts.indexOf("conference_papers"))
-          .join("/")
-          .split(".")[0];
-        await cloudinary.uploader.destroy(publicId, { resource_type: "raw" });
-      } catch (cloudinaryError) {
-        console.warn(
-          "Could not delete old file from Cloudinary:",
-          cloudinaryError.message
-        );
-      }
-    }
-
     // <-- FIX: Notify all Admins about the resubmission -->
     try {
       const submitter = await prisma.user.findUnique({
@@ -608,7 +962,7 @@ export const resubmitPaper = async (req, res) => {
       });
 
       const admins = await prisma.user.findMany({
-        where: { role: "ADMIN" },
+        where: { roles: { has: "ADMIN" } },
         select: { email: true, firstName: true },
       });
 
@@ -690,9 +1044,11 @@ export const resubmitPaper = async (req, res) => {
       );
     }
 
-    res
-      .status(200)
-      .json({ message: "Paper resubmitted successfully", paper: updatedPaper });
+    res.status(200).json({
+      message: "Paper resubmitted successfully",
+      paper: withDownloadLinks(updatedPaper),
+      warnings: req.file.inspection?.warnings || [],
+    });
   } catch (error) {
     console.error("Error resubmitting paper:", error);
     res.status(500).json({ message: "Server error" });
@@ -701,7 +1057,8 @@ export const resubmitPaper = async (req, res) => {
 
 /**
  * Upload the Camera Ready version of an ACCEPTED paper.
- * @route POST /api/author/papers/:paperId/camera-ready
+ * @route POST /api/author/conferences/:conferenceId/papers/:paperId/camera-ready
+ * @route POST /api/author/papers/:paperId/camera-ready (current conference)
  */
 export const uploadCameraReady = async (req, res) => {
   const { paperId } = req.params;
@@ -716,15 +1073,14 @@ export const uploadCameraReady = async (req, res) => {
     const paper = await prisma.paper.findFirst({
       where: {
         id: parseInt(paperId),
+        conferenceId: req.conference.id,
         authorId: authorId, // Only the primary submitter can do this
       },
     });
 
     if (!paper) {
       // Delete the uploaded file immediately if permission fails
-      await cloudinary.uploader.destroy(req.file.filename, {
-        resource_type: "raw",
-      });
+      await discardUploadedFile(req.file);
       return res.status(404).json({
         message: "Paper not found or you are not the primary author.",
       });
@@ -732,9 +1088,7 @@ export const uploadCameraReady = async (req, res) => {
 
     // 2. CRITICAL: Ensure paper is actually ACCEPTED
     if (paper.status !== "ACCEPTED") {
-      await cloudinary.uploader.destroy(req.file.filename, {
-        resource_type: "raw",
-      });
+      await discardUploadedFile(req.file);
       return res.status(400).json({
         message:
           "You can only submit a Camera Ready version for ACCEPTED papers.",
@@ -754,24 +1108,18 @@ export const uploadCameraReady = async (req, res) => {
     // 4. Cleanup: If a camera ready file ALREADY existed, delete the old one
     if (oldCameraReadyUrl) {
       try {
-        const urlParts = oldCameraReadyUrl.split("/");
-        const publicId = urlParts
-          .slice(urlParts.indexOf("conference_papers"))
-          .join("/")
-          .split(".")[0];
-
-        await cloudinary.uploader.destroy(publicId, { resource_type: "raw" });
-      } catch (cloudinaryError) {
+        await deleteFile(oldCameraReadyUrl);
+      } catch (storageError) {
         console.warn(
           "Could not delete old Camera Ready file:",
-          cloudinaryError.message
+          storageError.message
         );
       }
     }
 
     // 5. Notify Admins
     const admins = await prisma.user.findMany({
-      where: { role: "ADMIN" },
+      where: { roles: { has: "ADMIN" } },
       select: { email: true },
     });
 
@@ -790,10 +1138,115 @@ export const uploadCameraReady = async (req, res) => {
 
     res.status(200).json({
       message: "Camera Ready paper uploaded successfully",
-      paper: updatedPaper,
+      paper: withDownloadLinks(updatedPaper),
     });
   } catch (error) {
     console.error("Error uploading camera ready paper:", error);
     res.status(500).json({ message: "Server error" });
   }
 };
+
+/**
+ * Withdraw a paper. The paper and its reviews are kept for reporting, but
+ * it leaves the reviewers' queues and can no longer be reviewed.
+ * @route POST /api/author/conferences/:conferenceId/papers/:paperId/withdraw
+ * @route POST /api/author/papers/:paperId/withdraw (current conference)
+ */
+export const withdrawPaper = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { paperId } = req.params;
+  const { reason } = req.body;
+  const authorId = req.user.id;
+
+  try {
+    const paper = await prisma.paper.findFirst({
+      where: {
+        id: parseInt(paperId),
+        conferenceId: req.conference.id,
+        authorId: authorId, // Only the primary submitter can withdraw
+      },
+    });
+
+    if (!paper) {
+      return res.status(404).json({
+        message: "Paper not found or you are not the primary author.",
+      });
+    }
+
+    if (paper.status === "WITHDRAWN" || paper.status === "REJECTED") {
+      return res.status(400).json({
+        message: `Paper cannot be withdrawn with status: ${paper.status}`,
+      });
+    }
+
+    const updatedPaper = await prisma.paper.update({
+      where: { id: paper.id },
+      data: {
+        status: "WITHDRAWN",
+        withdrawnAt: new Date(),
+        withdrawalReason: reason,
+      },
+    });
+
+    // Let the assigned reviewers know they can stop working on it
+    const assignments = await prisma.reviewerAssignment.findMany({
+      where: { paperId: paper.id },
+      include: {
+        reviewer: {
+          select: { email: true, firstName: true },
+        },
+      },
+    });
+
+    for (const assignment of assignments) {
+      sendEmail({
+        to: assignment.reviewer.email,
+        subject: `[Withdrawn] Paper "${paper.title}" has been withdrawn`,
+        text: `
+          Hello ${assignment.reviewer.firstName || "Reviewer"},
+
+          The paper "${paper.title}" (ID: ${paper.id}), which was assigned to you for review, has been withdrawn by its authors.
+
+          No further review is needed. It has been removed from your list of assigned papers.
+
+          Best regards,
+          Conference Admin Team
+        `,
+      }).catch(console.error);
+    }
+
+    const admins = await prisma.user.findMany({
+      where: { roles: { has: "ADMIN" } },
+      select: { email: true, firstName: true },
+    });
+
+    for (const admin of admins) {
+      sendEmail({
+        to: admin.email,
+        subject: `[Withdrawn] Paper "${paper.title}" has been withdrawn`,
+        text: `
+          Hello ${admin.firstName || "Admin"},
+
+          The author has withdrawn the paper "${paper.title}" (ID: ${paper.id}).
+
+          Reason: ${reason}
+
+          Best regards,
+          Conference System
+        `,
+      }).catch(console.error);
+    }
+
+    res.status(200).json({
+      message: "Paper withdrawn successfully",
+      paper: withDownloadLinks(updatedPaper),
+    });
+  } catch (error) {
+    console.error("Error withdrawing paper:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
@@ -0,0 +1,341 @@
+import prisma from "../libs/prisma.js";
+import { validationResult } from "express-validator";
+import { parseInTimeZone } from "../utils/timezone.js";
+import { PHASES } from "../utils/phases.js";
+
+// Fields shown on the public conference endpoints
+const CONFERENCE_PUBLIC_SELECT = {
+  id: true,
+  name: true,
+  slug: true,
+  description: true,
+  venue: true,
+  startDate: true,
+  endDate: true,
+  timezone: true,
+  archivedAt: true,
+  phases: {
+    select: { phase: true, opensAt: true, closesAt: true },
+  },
+};
+
+/**
+ * List the conference editions that are open (not archived).
+ * @route GET /api/conferences
+ */
+export const getPublicConferences = async (req, res) => {
+  try {
+    const conferences = await prisma.conference.findMany({
+      where: { archivedAt: null },
+      select: CONFERENCE_PUBLIC_SELECT,
+      orderBy: { createdAt: "desc" },
+    });
+
+    res.status(200).json(conferences);
+  } catch (error) {
+    console.error("Error fetching conferences:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Get a single conference edition (by ID or slug).
+ * @route GET /api/conferences/:conferenceId
+ */
+export const getPublicConference = async (req, res) => {
+  // Resolved by the loadConference middleware
+  const { id } = req.conference;
+
+  try {
+    const conference = await prisma.conference.findUnique({
+      where: { id },
+      select: CONFERENCE_PUBLIC_SELECT,
+    });
+
+    res.status(200).json(conference);
+  } catch (error) {
+    console.error("Error fetching conference:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * List all conference editions, including archived ones (for admins).
+ * @route GET /api/admin/conferences
+ */
+export const getAllConferences = async (req, res) => {
+  try {
+    const conferences = await prisma.conference.findMany({
+      include: {
+        _count: {
+          select: { papers: true, reviewers: true },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    res.status(200).json(conferences);
+  } catch (error) {
+    console.error("Error fetching conferences:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Create a new conference edition.
+ * @route POST /api/admin/conferences
+ */
+export const createConference = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const {
+    name,
+    slug,
+    description,
+    venue,
+    startDate,
+    endDate,
+    timezone,
+    reviewDueDays,
+  } = req.body;
+
+  try {
+    const existing = await prisma.conference.findUnique({ where: { slug } });
+    if (existing) {
+      return res
+        .status(400)
+        .json({ message: "A conference with this slug already exists" });
+    }
+
+    const conference = await prisma.conference.create({
+      data: {
+        name,
+        slug,
+        description,
+        venue,
+        startDate,
+        endDate,
+        timezone,
+        reviewDueDays,
+      },
+    });
+
+    res
+      .status(201)
+      .json({ message: "Conference created successfully", conference });
+  } catch (error) {
+    console.error("Error creating conference:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Update a conference edition's details.
+ * Archived editions are read-only (see blockArchivedWrites).
+ * @route PATCH /api/admin/conferences/:conferenceId
+ */
+export const updateConference = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const {
+    name,
+    slug,
+    description,
+    venue,
+    startDate,
+    endDate,
+    timezone,
+    reviewDueDays,
+  } = req.body;
+
+  try {
+    if (slug && slug !== req.conference.slug) {
+      const existing = await prisma.conference.findUnique({ where: { slug } });
+      if (existing) {
+        return res
+          .status(400)
+          .json({ message: "A conference with this slug already exists" });
+      }
+    }
+
+    const conference = await prisma.conference.update({
+      where: { id: req.conference.id },
+      data: {
+        name,
+        slug,
+        description,
+        venue,
+        startDate,
+        endDate,
+        timezone,
+        reviewDueDays,
+      },
+    });
+
+    res
+      .status(200)
+      .json({ message: "Conference updated successfully", conference });
+  } catch (error) {
+    console.error("Error updating conference:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Archive a past edition. Its papers, reviews and settings stay readable
+ * but can no longer be changed.
+ * @route POST /api/admin/conferences/:conferenceId/archive
+ */
+export const archiveConference = async (req, res) => {
+  if (req.conference.archivedAt) {
+    return res.status(400).json({ message: "Conference is already archived" });
+  }
+
+  try {
+    const conference = await prisma.conference.update({
+      where: { id: req.conference.id },
+      data: { archivedAt: new Date() },
+    });
+
+    res.status(200).json({ message: "Conference archived", conference });
+  } catch (error) {
+    console.error("Error archiving conference:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Make an archived edition writable again.
+ * @route POST /api/admin/conferences/:conferenceId/unarchive
+ */
+export const unarchiveConference = async (req, res) => {
+  if (!req.conference.archivedAt) {
+    return res.status(400).json({ message: "Conference is not archived" });
+  }
+
+  try {
+    const conference = await prisma.conference.update({
+      where: { id: req.conference.id },
+      data: { archivedAt: null },
+    });
+
+    res.status(200).json({ message: "Conference unarchived", conference });
+  } catch (error) {
+    console.error("Error unarchiving conference:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Get the phase windows of a conference. Unconfigured phases are listed
+ * with empty bounds (they are not restricted).
+ * @route GET /api/admin/conferences/:conferenceId/phases
+ * @route GET /api/admin/phases (current conference)
+ */
+export const getConferencePhases = async (req, res) => {
+  try {
+    const windows = await prisma.conferencePhase.findMany({
+      where: { conferenceId: req.conference.id },
+    });
+
+    const phases = PHASES.map((phase) => {
+      const window = windows.find((w) => w.phase === phase);
+      return {
+        phase,
+        opensAt: window?.opensAt || null,
+        closesAt: window?.closesAt || null,
+        configured: Boolean(window),
+      };
+    });
+
+    res.status(200).json({ timezone: req.conference.timezone, phases });
+  } catch (error) {
+    console.error("Error fetching conference phases:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Set the window of a phase. Times without an explicit offset
+ * (e.g., "2026-03-01T23:59") are read in the conference's time zone.
+ * @route PUT /api/admin/conferences/:conferenceId/phases/:phase
+ * @route PUT /api/admin/phases/:phase (current conference)
+ */
+export const setConferencePhase = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { phase } = req.params;
+  const { timezone } = req.conference;
+
+  const opensAt = req.body.opensAt
+    ? parseInTimeZone(req.body.opensAt, timezone)
+    : null;
+  const closesAt = req.body.closesAt
+    ? parseInTimeZone(req.body.closesAt, timezone)
+    : null;
+
+  if ((req.body.opensAt && !opensAt) || (req.body.closesAt && !closesAt)) {
+    return res.status(400).json({
+      message: 'Dates must look like "2026-03-01T23:59" (optionally with an offset)',
+    });
+  }
+
+  if (opensAt && closesAt && opensAt >= closesAt) {
+    return res
+      .status(400)
+      .json({ message: "The phase must open before it closes" });
+  }
+
+  try {
+    const window = await prisma.conferencePhase.upsert({
+      where: {
+        conferenceId_phase: { conferenceId: req.conference.id, phase },
+      },
+      update: { opensAt, closesAt },
+      create: { conferenceId: req.conference.id, phase, opensAt, closesAt },
+    });
+
+    res.status(200).json({ message: `${phase} phase updated`, phase: window });
+  } catch (error) {
+    console.error("Error updating conference phase:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Remove the window of a phase, so it is no longer restricted.
+ * @route DELETE /api/admin/conferences/:conferenceId/phases/:phase
+ * @route DELETE /api/admin/phases/:phase (current conference)
+ */
+export const deleteConferencePhase = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { phase } = req.params;
+
+  try {
+    const { count } = await prisma.conferencePhase.deleteMany({
+      where: { conferenceId: req.conference.id, phase },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ message: "Phase is not configured" });
+    }
+
+    res.status(200).json({ message: `${phase} phase is no longer restricted` });
+  } catch (error) {
+    console.error("Error deleting conference phase:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
@@ -0,0 +1,277 @@
+import prisma from "../libs/prisma.js";
+import { validationResult } from "express-validator";
+import { openFile } from "../libs/storage/index.js";
+import { getClientInfo } from "../utils/session.js";
+import { PAPER_FILES } from "../utils/files.js";
+import {
+  generateDownloadToken,
+  verifyDownloadToken,
+  DOWNLOAD_LINK_TTL_MS,
+} from "../utils/auth.js";
+
+/**
+ * Loads a paper with what is needed to resolve one of its files and
+ * to check who may read it.
+ * @param {number} paperId
+ * @param {number} [round] - A specific manuscript version.
+ */
+const findPaperForDownload = (paperId, round) =>
+  prisma.paper.findUnique({
+    where: { id: paperId },
+    select: {
+      id: true,
+      status: true,
+      authorId: true,
+      fileUrl: true,
+      cameraReadyUrl: true,
+      authors: { select: { email: true } },
+      assignments: { select: { reviewerId: true } },
+      versions: round
+        ? { where: { round }, select: { round: true, fileUrl: true } }
+        : false,
+    },
+  });
+
+/**
+ * Whether a user may download a paper's files: the submitter, a listed
+ * author, a reviewer assigned to it (until it is withdrawn), or an admin.
+ * @param {{ id: number, email: string, role: string }} user
+ * @param {object} paper - From findPaperForDownload.
+ * @returns {boolean}
+ */
+const canDownloadPaper = (user, paper) => {
+  if (user.role === "ADMIN" || paper.authorId === user.id) {
+    return true;
+  }
+
+  const email = user.email.toLowerCase();
+  if (paper.authors.some((author) => author.email?.toLowerCase() === email)) {
+    return true;
+  }
+
+  return (
+    paper.status !== "WITHDRAWN" &&
+    paper.assignments.some((assignment) => assignment.reviewerId === user.id)
+  );
+};
+
+/**
+ * The stored URL of the requested file, or null if there is none.
+ * @param {object} paper - From findPaperForDownload.
+ * @param {string} file - PaperFileType.
+ * @param {number} [round]
+ * @returns {string | null}
+ */
+const resolveFileUrl = (paper, file, round) => {
+  if (file === "CAMERA_READY") {
+    return paper.cameraReadyUrl;
+  }
+  return round ? paper.versions[0]?.fileUrl || null : paper.fileUrl;
+};
+
+/**
+ * Streams a stored paper file to the client and records the download.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {{ paperId: number, file: string, round?: number, url: string, userId: number, method: string }} download
+ */
+const sendPaperFile = async (req, res, download) => {
+  const { paperId, file, round, url, userId, method } = download;
+
+  const stream = await openFile(url);
+  if (!stream) {
+    return res
+      .status(404)
+      .json({ message: "This file is no longer available for download" });
+  }
+
+  const extension = url.split("?")[0].split(".").pop().toLowerCase();
+  const name =
+    file === "CAMERA_READY"
+      ? `paper-${paperId}-camera-ready`
+      : `paper-${paperId}${round ? `-v${round}` : ""}`;
+
+  try {
+    const { ipAddress, userAgent } = getClientInfo(req);
+    await prisma.fileDownloadLog.create({
+      data: { paperId, userId, file, round, method, ipAddress, userAgent },
+    });
+  } catch (logError) {
+    // Logging must not block the download itself
+    console.error("Failed to save download log:", logError);
+  }
+
+  res.attachment(`${name}.${extension}`);
+  res.set("Cache-Control", "private, no-store");
+
+  stream.on("error", (error) => {
+    console.error("Error streaming paper file:", error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+/**
+ * Checks the request and the caller's access to the paper.
+ * Sends the error response and returns null if the download is not allowed.
+ */
+const authorizeDownload = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return null;
+  }
+
+  const paperId = parseInt(req.params.paperId);
+  const file = PAPER_FILES[req.params.file];
+  // Only manuscripts have versions
+  const round =
+    file === "MANUSCRIPT" && req.query.version
+      ? parseInt(req.query.version)
+      : undefined;
+
+  const paper = await findPaperForDownload(paperId, round);
+
+  // Papers the caller has no access to are reported as missing
+  if (!paper || !canDownloadPaper(req.user, paper)) {
+    res
+      .status(404)
+      .json({ message: "Paper not found or you do not have access." });
+    return null;
+  }
+
+  const url = resolveFileUrl(paper, file, round);
+  if (!url) {
+    res.status(404).json({ message: "This paper has no such file" });
+    return null;
+  }
+
+  return { paperId, file, round, url };
+};
+
+/**
+ * Download a paper's manuscript (current or a given version) or its
+ * camera-ready file.
+ * @route GET /api/files/papers/:paperId/:file?version=
+ */
+export const downloadPaperFile = async (req, res) => {
+  try {
+    const download = await authorizeDownload(req, res);
+    if (!download) {
+      return;
+    }
+
+    await sendPaperFile(req, res, {
+      ...download,
+      userId: req.user.id,
+      method: "DIRECT",
+    });
+  } catch (error) {
+    console.error("Error downloading paper file:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+};
+
+/**
+ * Issue a short-lived signed link to a paper file, e.g. to open it in a
+ * new tab or hand it to a PDF viewer that cannot send cookies.
+ * @route POST /api/files/papers/:paperId/:file/link?version=
+ */
+export const createDownloadLink = async (req, res) => {
+  try {
+    const download = await authorizeDownload(req, res);
+    if (!download) {
+      return;
+    }
+
+    const token = generateDownloadToken({
+      userId: req.user.id,
+      paperId: download.paperId,
+      file: download.file,
+      round: download.round,
+    });
+
+    res.status(200).json({
+      url: `${req.protocol}://${req.get("host")}/api/files/signed/${token}`,
+      expiresAt: new Date(Date.now() + DOWNLOAD_LINK_TTL_MS),
+    });
+  } catch (error) {
+    console.error("Error creating download link:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Download a paper file with a signed link. Access was checked when
+ * the link was issued.
+ * @route GET /api/files/signed/:token
+ */
+export const downloadWithSignedLink = async (req, res) => {
+  const grant = verifyDownloadToken(req.params.token);
+
+  if (!grant) {
+    return res
+      .status(403)
+      .json({ message: "This download link is invalid or has expired" });
+  }
+
+  try {
+    const paper = await findPaperForDownload(grant.paperId, grant.round);
+    const url = paper ? resolveFileUrl(paper, grant.file, grant.round) : null;
+
+    if (!url) {
+      return res.status(404).json({ message: "File not found" });
+    }
+
+    await sendPaperFile(req, res, {
+      paperId: paper.id,
+      file: grant.file,
+      round: grant.round,
+      url,
+      userId: grant.id,
+      method: "SIGNED_LINK",
+    });
+  } catch (error) {
+    console.error("Error downloading paper file:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+};
+
+/**
+ * Get the download history of a paper.
+ * @route GET /api/admin/conferences/:conferenceId/papers/:id/downloads
+ * @route GET /api/admin/papers/:id/downloads (current conference)
+ */
+export const getPaperDownloads = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const paper = await prisma.paper.findFirst({
+      where: { id: parseInt(id), conferenceId: req.conference.id },
+      select: { id: true },
+    });
+
+    if (!paper) {
+      return res.status(404).json({ message: "Paper not found" });
+    }
+
+    const downloads = await prisma.fileDownloadLog.findMany({
+      where: { paperId: paper.id },
+      include: {
+        user: {
+          select: { id: true, firstName: true, lastName: true, email: true },
+        },
+      },
+      orderBy: { downloadedAt: "desc" },
+    });
+
+    res.status(200).json(downloads);
+  } catch (error) {
+    console.error("Error fetching paper downloads:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
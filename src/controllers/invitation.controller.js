@@ -0,0 +1,253 @@
+import prisma from "../libs/prisma.js";
+import { validationResult } from "express-validator";
+import { hashToken, hashPassword } from "../utils/auth.js";
+import { sendEmail } from "../utils/mail.js";
+
+/**
+ * Finds a pending, unexpired invitation by its plaintext token.
+ * @param {string} token - The token from the invitation link.
+ * @returns {Promise<object | null>}
+ */
+const findOpenInvitation = async (token) => {
+  const invitation = await prisma.reviewerInvitation.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: {
+      invitedBy: { select: { email: true, firstName: true } },
+      conference: { select: { id: true, name: true, slug: true } },
+    },
+  });
+
+  if (
+    !invitation ||
+    invitation.status !== "PENDING" ||
+    invitation.expiresAt <= new Date()
+  ) {
+    return null;
+  }
+
+  return invitation;
+};
+
+/**
+ * Lets the inviting admin know how the invitee responded.
+ * @param {object} invitation - The invitation (with invitedBy).
+ * @param {string} outcome - e.g., "accepted" or "declined".
+ * @param {string} [reason] - The decline reason, if any.
+ */
+const notifyInviter = (invitation, outcome, reason) => {
+  if (!invitation.invitedBy) {
+    return;
+  }
+
+  sendEmail({
+    to: invitation.invitedBy.email,
+    subject: `[Reviewer Invitation] ${invitation.firstName} ${invitation.lastName} has ${outcome}`,
+    text: `
+      Hello ${invitation.invitedBy.firstName || "Admin"},
+
+      ${invitation.firstName} ${invitation.lastName} (${invitation.email}) has ${outcome} the invitation to review.
+      ${reason ? `\n      Reason given: ${reason}\n` : ""}
+      Best regards,
+      Conference System
+    `,
+  }).catch(console.error);
+};
+
+/**
+ * Get the details of an invitation (for the accept/decline page).
+ * @route GET /api/invitations/:token
+ */
+export const getInvitation = async (req, res) => {
+  try {
+    const invitation = await findOpenInvitation(req.params.token);
+    if (!invitation) {
+      return res
+        .status(404)
+        .json({ message: "Invitation is invalid or has expired" });
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email: invitation.email },
+      select: { id: true },
+    });
+
+    res.status(200).json({
+      email: invitation.email,
+      firstName: invitation.firstName,
+      middleName: invitation.middleName,
+      lastName: invitation.lastName,
+      affiliation: invitation.affiliation,
+      expiresAt: invitation.expiresAt,
+      conference: invitation.conference,
+      // Existing users keep their password; new users must choose one
+      hasAccount: Boolean(existingUser),
+    });
+  } catch (error) {
+    console.error("Error fetching invitation:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Accept an invitation.
+ * Creates the reviewer account with the chosen password, or adds the
+ * REVIEWER role if the email already has an account, and adds the reviewer
+ * to the conference's reviewer pool.
+ * @route POST /api/invitations/:token/accept
+ */
+export const acceptInvitation = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { password } = req.body;
+
+  try {
+    const invitation = await findOpenInvitation(req.params.token);
+    if (!invitation) {
+      return res
+        .status(404)
+        .json({ message: "Invitation is invalid or has expired" });
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email: invitation.email },
+      select: { id: true },
+    });
+
+    if (!existingUser && (!password || password.length < 8)) {
+      return res
+        .status(400)
+        .json({ message: "Password must be at least 8 characters" });
+    }
+    const passwordHash = existingUser ? null : await hashPassword(password);
+
+    // Claiming the invitation first means a second, concurrent accept finds
+    // it no longer pending and changes nothing
+    const user = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.reviewerInvitation.updateMany({
+        where: {
+          id: invitation.id,
+          status: "PENDING",
+          expiresAt: { gt: new Date() },
+        },
+        data: { status: "ACCEPTED", respondedAt: new Date() },
+      });
+      if (claimed.count === 0) {
+        return null;
+      }
+
+      let account = await tx.user.findUnique({
+        where: { email: invitation.email },
+      });
+
+      if (!account) {
+        account = await tx.user.create({
+          data: {
+            firstName: invitation.firstName,
+            middleName: invitation.middleName,
+            lastName: invitation.lastName,
+            affiliation: invitation.affiliation,
+            email: invitation.email,
+            password: passwordHash ?? (await hashPassword(password)),
+            roles: ["REVIEWER"],
+            // The invitation link was emailed, so the address is verified
+            emailVerifiedAt: new Date(),
+          },
+        });
+      } else if (!account.roles.includes("REVIEWER")) {
+        account = await tx.user.update({
+          where: { id: account.id },
+          data: { roles: { push: "REVIEWER" } },
+        });
+      }
+
+      await tx.reviewerInvitation.update({
+        where: { id: invitation.id },
+        data: { userId: account.id },
+      });
+
+      if (invitation.conferenceId) {
+        await tx.conferenceReviewer.upsert({
+          where: {
+            conferenceId_userId: {
+              conferenceId: invitation.conferenceId,
+              userId: account.id,
+            },
+          },
+          update: {},
+          create: { conferenceId: invitation.conferenceId, userId: account.id },
+        });
+      }
+
+      return account;
+    });
+
+    if (!user) {
+      return res
+        .status(409)
+        .json({ message: "This invitation has already been answered" });
+    }
+
+    notifyInviter(invitation, "accepted");
+
+    res.status(200).json({
+      message: "Invitation accepted. You can now log in as a reviewer.",
+      user: { id: user.id, email: user.email, roles: user.roles },
+    });
+  } catch (error) {
+    console.error("Error accepting invitation:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Decline an invitation, optionally giving a reason.
+ * @route POST /api/invitations/:token/decline
+ */
+export const declineInvitation = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { reason } = req.body;
+
+  try {
+    const invitation = await findOpenInvitation(req.params.token);
+    if (!invitation) {
+      return res
+        .status(404)
+        .json({ message: "Invitation is invalid or has expired" });
+    }
+
+    // Only a still-pending invitation can be declined, so a concurrent
+    // accept or revoke is never overwritten
+    const { count } = await prisma.reviewerInvitation.updateMany({
+      where: {
+        id: invitation.id,
+        status: "PENDING",
+        expiresAt: { gt: new Date() },
+      },
+      data: {
+        status: "DECLINED",
+        declineReason: reason || null,
+        respondedAt: new Date(),
+      },
+    });
+
+    if (count === 0) {
+      return res
+        .status(409)
+        .json({ message: "This invitation has already been answered" });
+    }
+
+    notifyInviter(invitation, "declined", reason);
+
+    res.status(200).json({ message: "Invitation declined. Thank you for letting us know." });
+  } catch (error) {
+    console.error("Error declining invitation:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
@@ -0,0 +1,284 @@
+import prisma from "../libs/prisma.js";
+import { validationResult } from "express-validator";
+import { DEFAULT_SCORE_RANGE } from "../utils/reviewForms.js";
+
+// Criteria in display order, with how many reviews answered each
+const CRITERIA_INCLUDE = {
+  criteria: {
+    include: { _count: { select: { answers: true } } },
+    orderBy: { position: "asc" },
+  },
+};
+
+/**
+ * Finds a track of the conference with its review form.
+ * @param {import('express').Request} req
+ */
+const findTrack = (req) =>
+  prisma.track.findFirst({
+    where: { id: parseInt(req.params.trackId), conferenceId: req.conference.id },
+    include: { reviewForm: { include: CRITERIA_INCLUDE } },
+  });
+
+/**
+ * Get the review form of a track.
+ * @route GET /api/admin/conferences/:conferenceId/tracks/:trackId/review-form
+ * @route GET /api/admin/tracks/:trackId/review-form (current conference)
+ */
+export const getReviewForm = async (req, res) => {
+  try {
+    const track = await findTrack(req);
+
+    if (!track) {
+      return res.status(404).json({ message: "Track not found" });
+    }
+    if (!track.reviewForm) {
+      return res
+        .status(404)
+        .json({ message: "This track has no review form yet" });
+    }
+
+    res.status(200).json(track.reviewForm);
+  } catch (error) {
+    console.error("Error fetching review form:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Create or replace the review form of a track. Criteria sent with an `id`
+ * are updated, the others created, and criteria left out are removed.
+ * Criteria that reviews already answered cannot be removed or change
+ * type, score range or weight, so stored total scores stay comparable.
+ * @route PUT /api/admin/conferences/:conferenceId/tracks/:trackId/review-form
+ * @route PUT /api/admin/tracks/:trackId/review-form (current conference)
+ */
+export const saveReviewForm = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const criteria = req.body.criteria.map((criterion, index) => {
+    const scored = criterion.type !== "TEXT";
+    return {
+      id: criterion.id ? parseInt(criterion.id) : null,
+      data: {
+        label: criterion.label,
+        description: criterion.description || null,
+        type: criterion.type,
+        minScore: scored
+          ? criterion.minScore ?? DEFAULT_SCORE_RANGE.minScore
+          : null,
+        maxScore: scored
+          ? criterion.maxScore ?? DEFAULT_SCORE_RANGE.maxScore
+          : null,
+        weight: criterion.weight ?? 1,
+        required: criterion.required ?? true,
+        position: index,
+      },
+    };
+  });
+
+  const invalidRange = criteria.find(
+    ({ data }) => data.type !== "TEXT" && data.minScore >= data.maxScore
+  );
+  if (invalidRange) {
+    return res.status(400).json({
+      message: `"${invalidRange.data.label}": the lowest score must be below the highest`,
+    });
+  }
+
+  try {
+    const track = await findTrack(req);
+
+    if (!track) {
+      return res.status(404).json({ message: "Track not found" });
+    }
+
+    const existing = track.reviewForm?.criteria || [];
+    const keptIds = criteria.filter((c) => c.id).map((c) => c.id);
+
+    if (keptIds.some((id) => !existing.some((c) => c.id === id))) {
+      return res
+        .status(400)
+        .json({ message: "Some criteria do not belong to this form" });
+    }
+
+    // Answered criteria must keep their meaning
+    const locked = existing.filter((current) => {
+      if (current._count.answers === 0) {
+        return false;
+      }
+      const updated = criteria.find((c) => c.id === current.id)?.data;
+      return (
+        !updated ||
+        updated.type !== current.type ||
+        updated.minScore !== current.minScore ||
+        updated.maxScore !== current.maxScore ||
+        updated.weight !== current.weight
+      );
+    });
+    if (locked.length > 0) {
+      return res.status(409).json({
+        message: `Reviews already answered ${locked
+          .map((c) => `"${c.label}"`)
+          .join(", ")}; these criteria cannot be removed or change type, score range or weight.`,
+      });
+    }
+
+    const form = await prisma.$transaction(async (tx) => {
+      const savedForm = await tx.reviewForm.upsert({
+        where: { trackId: track.id },
+        create: { trackId: track.id },
+        update: { updatedAt: new Date() },
+      });
+
+      await tx.reviewCriterion.deleteMany({
+        where: { formId: savedForm.id, id: { notIn: keptIds } },
+      });
+
+      for (const { id, data } of criteria) {
+        if (id) {
+          await tx.reviewCriterion.update({ where: { id }, data });
+        } else {
+          await tx.reviewCriterion.create({
+            data: { ...data, formId: savedForm.id },
+          });
+        }
+      }
+
+      return tx.reviewForm.findUnique({
+        where: { id: savedForm.id },
+        include: CRITERIA_INCLUDE,
+      });
+    });
+
+    res.status(200).json({ message: "Review form saved", form });
+  } catch (error) {
+    console.error("Error saving review form:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Remove the review form of a track, if no review has used it yet.
+ * @route DELETE /api/admin/conferences/:conferenceId/tracks/:trackId/review-form
+ * @route DELETE /api/admin/tracks/:trackId/review-form (current conference)
+ */
+export const deleteReviewForm = async (req, res) => {
+  try {
+    const track = await findTrack(req);
+
+    if (!track?.reviewForm) {
+      return res.status(404).json({ message: "Review form not found" });
+    }
+
+    if (track.reviewForm.criteria.some((c) => c._count.answers > 0)) {
+      return res.status(409).json({
+        message: "Reviews have already been submitted with this form",
+      });
+    }
+
+    await prisma.reviewForm.delete({ where: { id: track.reviewForm.id } });
+
+    res.status(200).json({ message: "Review form deleted" });
+  } catch (error) {
+    console.error("Error deleting review form:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Rank the conference's papers by their review scores. Each paper's score
+ * is the average of its reviews' total scores, weighted by the reviewers'
+ * confidence; papers without scored reviews come last.
+ * @route GET /api/admin/conferences/:conferenceId/papers/rankings?trackId=
+ * @route GET /api/admin/papers/rankings?trackId= (current conference)
+ */
+export const getPaperRankings = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { trackId } = req.query;
+
+  const where = {
+    conferenceId: req.conference.id,
+    status: { not: "WITHDRAWN" },
+  };
+  if (trackId) {
+    where.trackId = parseInt(trackId);
+  }
+
+  try {
+    const papers = await prisma.paper.findMany({
+      where,
+      select: {
+        id: true,
+        title: true,
+        status: true,
+        track: { select: { id: true, name: true } },
+        author: { select: { id: true, firstName: true, lastName: true } },
+        reviews: {
+          select: { totalScore: true, confidence: true, recommendation: true },
+        },
+      },
+    });
+
+    const round = (value) => Math.round(value * 100) / 100;
+
+    const rankings = papers.map(({ reviews, ...paper }) => {
+      const scored = reviews.filter((review) => review.totalScore !== null);
+
+      let averageScore = null;
+      let weightedScore = null;
+      if (scored.length > 0) {
+        averageScore =
+          scored.reduce((sum, review) => sum + review.totalScore, 0) /
+          scored.length;
+        // Reviews without a confidence answer count fully
+        const totalWeight = scored.reduce(
+          (sum, review) => sum + (review.confidence ?? 1),
+          0
+        );
+        weightedScore =
+          scored.reduce(
+            (sum, review) =>
+              sum + review.totalScore * (review.confidence ?? 1),
+            0
+          ) / totalWeight;
+      }
+
+      const recommendations = {};
+      for (const review of reviews) {
+        recommendations[review.recommendation] =
+          (recommendations[review.recommendation] || 0) + 1;
+      }
+
+      return {
+        paper,
+        reviewCount: reviews.length,
+        scoredReviewCount: scored.length,
+        averageScore: averageScore === null ? null : round(averageScore),
+        weightedScore: weightedScore === null ? null : round(weightedScore),
+        recommendations,
+      };
+    });
+
+    rankings.sort(
+      (a, b) => (b.weightedScore ?? -1) - (a.weightedScore ?? -1)
+    );
+
+    res.status(200).json(
+      rankings.map((entry, index) => ({
+        rank: entry.weightedScore === null ? null : index + 1,
+        ...entry,
+      }))
+    );
+  } catch (error) {
+    console.error("Error ranking papers:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
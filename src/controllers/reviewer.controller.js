@@ -1,10 +1,14 @@
 import prisma from "../libs/prisma.js";
 import { validationResult } from "express-validator";
+import { withDownloadLinks } from "../utils/files.js";
+import { scoreReviewAnswers } from "../utils/reviewForms.js";
 import { sendEmail } from "../utils/mail.js"; // <-- Make sure this is imported
+import { REVIEWABLE_STATUSES } from "../jobs/reviewReminders.js";
 
 /**
- * Get all papers assigned to the logged-in reviewer.
- * @route GET /api/reviewer/papers
+ * Get all papers of the conference assigned to the logged-in reviewer.
+ * @route GET /api/reviewer/conferences/:conferenceId/papers
+ * @route GET /api/reviewer/papers (current conference)
  */
 export const getAssignedPapers = async (req, res) => {
   const reviewerId = req.user.id;
@@ -13,6 +17,8 @@ export const getAssignedPapers = async (req, res) => {
     // Find all papers where the reviewer has an assignment
     const papers = await prisma.paper.findMany({
       where: {
+        conferenceId: req.conference.id,
+        status: { not: "WITHDRAWN" }, // Withdrawn papers leave the queue
         assignments: {
           some: {
             reviewerId: reviewerId,
@@ -36,6 +42,11 @@ export const getAssignedPapers = async (req, res) => {
             id: true, // Just need to know if it exists
           },
         },
+        // This reviewer's due date
+        assignments: {
+          where: { reviewerId: reviewerId },
+          select: { dueAt: true },
+        },
       },
       orderBy: {
         submittedAt: "desc",
@@ -43,11 +54,21 @@ export const getAssignedPapers = async (req, res) => {
     });
 
     // Clean up the response to be more useful
-    const response = papers.map((paper) => ({
-      ...paper,
-      // Add a boolean to tell the frontend if a review is done
-      hasReviewed: paper.reviews.length > 0,
-    }));
+    const now = new Date();
+    const response = papers.map(({ assignments, ...paper }) => {
+      const dueAt = assignments[0]?.dueAt || null;
+      return {
+        ...withDownloadLinks(paper),
+        // Add a boolean to tell the frontend if a review is done
+        hasReviewed: paper.reviews.length > 0,
+        dueAt,
+        isOverdue:
+          REVIEWABLE_STATUSES.includes(paper.status) &&
+          Boolean(dueAt) &&
+          dueAt < now &&
+          paper.reviews.length === 0,
+      };
+    });
 
     res.status(200).json(response);
   } catch (error) {
@@ -58,7 +79,8 @@ export const getAssignedPapers = async (req, res) => {
 
 /**
  * Get a single assigned paper by ID with all details.
- * @route GET /api/reviewer/papers/:paperId
+ * @route GET /api/reviewer/conferences/:conferenceId/papers/:paperId
+ * @route GET /api/reviewer/papers/:paperId (current conference)
  */
 export const getAssignedPaperById = async (req, res) => {
   const reviewerId = req.user.id;
@@ -69,6 +91,7 @@ export const getAssignedPaperById = async (req, res) => {
     const paper = await prisma.paper.findFirst({
       where: {
         id: parseInt(paperId),
+        conferenceId: req.conference.id,
         assignments: {
           some: {
             reviewerId: reviewerId,
@@ -84,13 +107,51 @@ export const getAssignedPaperById = async (req, res) => {
           },
         },
         authors: true, // <-- CHANGED: from coAuthors
+        track: {
+          select: {
+            id: true,
+            name: true,
+            // The form the review is filled in on
+            reviewForm: {
+              select: {
+                criteria: {
+                  select: {
+                    id: true,
+                    label: true,
+                    description: true,
+                    type: true,
+                    minScore: true,
+                    maxScore: true,
+                    required: true,
+                  },
+                  orderBy: { position: "asc" },
+                },
+              },
+            },
+          },
+        },
+        topics: { select: { topicArea: { select: { id: true, name: true } } } },
+        // Every version, so the revision can be compared with what was reviewed
+        versions: {
+          select: {
+            id: true,
+            round: true,
+            fileUrl: true,
+            changeNote: true,
+            uploadedAt: true,
+          },
+          orderBy: { round: "asc" },
+        },
         // Get all reviews, but hide who wrote them (blind review)
         reviews: {
           select: {
             id: true,
             comments: true,
+            confidentialComments: true, // Only kept for the reviewer's own review (below)
             // rating: false, // <-- REMOVED
             recommendation: true,
+            totalScore: true,
+            answers: { select: { criterionId: true, score: true, text: true } },
             reviewedAt: true,
             reviewerId: true,
           },
@@ -103,7 +164,7 @@ export const getAssignedPaperById = async (req, res) => {
                 id: true,
                 firstName: true,
                 lastName: true,
-                role: true,
+                roles: true,
               },
             },
           },
@@ -120,7 +181,14 @@ export const getAssignedPaperById = async (req, res) => {
         .json({ message: "Paper not found or you are not assigned to it." });
     }
 
-    res.status(200).json(paper);
+    // Confidential comments are for the chair; reviewers only see their own
+    paper.reviews = paper.reviews.map(({ confidentialComments, ...review }) =>
+      review.reviewerId === reviewerId
+        ? { ...review, confidentialComments }
+        : review
+    );
+
+    res.status(200).json(withDownloadLinks(paper));
   } catch (error) {
     console.error("Error fetching paper details:", error);
     res.status(500).json({ message: "Server error" });
@@ -129,7 +197,8 @@ export const getAssignedPaperById = async (req, res) => {
 
 /**
  * Submit or update a review for a paper.
- * @route POST /api/reviewer/papers/:paperId/review
+ * @route POST /api/reviewer/conferences/:conferenceId/papers/:paperId/review
+ * @route POST /api/reviewer/papers/:paperId/review (current conference)
  */
 export const submitReview = async (req, res) => {
   const errors = validationResult(req);
@@ -139,15 +208,28 @@ export const submitReview = async (req, res) => {
 
   const reviewerId = req.user.id;
   const { paperId } = req.params;
-  const { comments, recommendation } = req.body; // <-- REMOVED: rating
+  const { comments, confidentialComments, recommendation, answers } = req.body; // <-- REMOVED: rating
 
   try {
     // 1. Check if reviewer is actually assigned to this paper
-    const assignment = await prisma.reviewerAssignment.findUnique({
+    const assignment = await prisma.reviewerAssignment.findFirst({
       where: {
-        reviewerId_paperId: {
-          reviewerId: reviewerId,
-          paperId: parseInt(paperId),
+        reviewerId: reviewerId,
+        paperId: parseInt(paperId),
+        paper: { conferenceId: req.conference.id },
+      },
+      include: {
+        paper: {
+          select: {
+            status: true,
+            track: {
+              select: {
+                reviewForm: {
+                  select: { criteria: { orderBy: { position: "asc" } } },
+                },
+              },
+            },
+          },
         },
       },
     });
@@ -158,6 +240,22 @@ export const submitReview = async (req, res) => {
         .json({ message: "You are not assigned to review this paper." });
     }
 
+    if (assignment.paper.status === "WITHDRAWN") {
+      return res
+        .status(400)
+        .json({ message: "This paper has been withdrawn by its authors." });
+    }
+
+    // Papers in a track with a review form are scored against it
+    const criteria = assignment.paper.track?.reviewForm?.criteria || [];
+    const scoring = scoreReviewAnswers(criteria, answers);
+    if (scoring.errors.length > 0) {
+      return res.status(400).json({
+        message: "The review form is incomplete",
+        problems: scoring.errors,
+      });
+    }
+
     // 2. Use upsert: create review if it doesn't exist, update it if it does
     const review = await prisma.review.upsert({
       where: {
@@ -171,16 +269,25 @@ export const submitReview = async (req, res) => {
         paperId: parseInt(paperId),
         reviewerId: reviewerId,
         comments,
+        confidentialComments: confidentialComments || null,
         // rating: parseInt(rating), // <-- REMOVED
         recommendation, // e.g., 'ACCEPT', 'REJECT', etc.
+        totalScore: scoring.totalScore,
+        confidence: scoring.confidence,
+        answers: { create: scoring.answers },
       },
       // What to update if it does exist
       update: {
         comments,
+        confidentialComments: confidentialComments || null,
         // rating: parseInt(rating), // <-- REMOVED
         recommendation,
+        totalScore: scoring.totalScore,
+        confidence: scoring.confidence,
+        answers: { deleteMany: {}, create: scoring.answers }, // Replace the previous answers
         reviewedAt: new Date(), // Update the timestamp
       },
+      include: { answers: true },
     });
 
     // 3. Update paper status (if it's the first review or a re-review)
@@ -252,7 +359,8 @@ export const submitReview = async (req, res) => {
 
 /**
  * Submit a feedback message for a paper.
- * @route POST /api/reviewer/papers/:paperId/feedback
+ * @route POST /api/reviewer/conferences/:conferenceId/papers/:paperId/feedback
+ * @route POST /api/reviewer/papers/:paperId/feedback (current conference)
  */
 export const submitFeedback = async (req, res) => {
   const errors = validationResult(req);
@@ -266,13 +374,13 @@ export const submitFeedback = async (req, res) => {
 
   try {
     // 1. Check if reviewer is assigned (only assigned reviewers can comment)
-    const assignment = await prisma.reviewerAssignment.findUnique({
+    const assignment = await prisma.reviewerAssignment.findFirst({
       where: {
-        reviewerId_paperId: {
-          reviewerId: senderId,
-          paperId: parseInt(paperId),
-        },
+        reviewerId: senderId,
+        paperId: parseInt(paperId),
+        paper: { conferenceId: req.conference.id },
       },
+      include: { paper: { select: { status: true } } },
     });
 
     if (!assignment) {
@@ -281,11 +389,18 @@ export const submitFeedback = async (req, res) => {
         .json({ message: "You are not assigned to this paper." });
     }
 
+    if (assignment.paper.status === "WITHDRAWN") {
+      return res
+        .status(400)
+        .json({ message: "This paper has been withdrawn by its authors." });
+    }
+
     // 2. Create the feedback message
     const feedback = await prisma.feedback.create({
       data: {
         paperId: parseInt(paperId),
         senderId: senderId,
+        senderRole: req.user.role,
         message: message,
       },
     });
@@ -340,4 +455,237 @@ export const submitFeedback = async (req, res) => {
     console.error("Error submitting feedback:", error);
     res.status(500).json({ message: "Server error" });
   }
-};
\ No newline at end of file
+};
+
+// Papers open for bidding: approved by an admin and not decided yet
+const BIDDABLE_STATUSES = ["PENDING_REVIEW", "UNDER_REVIEW"];
+
+/**
+ * Filter for the conference's papers the logged-in reviewer may bid on:
+ * open for bidding, and neither submitted by the reviewer nor listing them
+ * as an author (by email, as in detectConflicts).
+ * @param {import('express').Request} req
+ * @returns {object} - A Prisma `where` for papers.
+ */
+const biddablePapersWhere = (req) => ({
+  conferenceId: req.conference.id,
+  status: { in: BIDDABLE_STATUSES },
+  authorId: { not: req.user.id },
+  authors: {
+    none: { email: { equals: req.user.email, mode: "insensitive" } },
+  },
+});
+
+/**
+ * Whether the logged-in reviewer is in the conference's reviewer pool.
+ * @param {import('express').Request} req
+ * @returns {Promise<boolean>}
+ */
+const isInReviewerPool = async (req) =>
+  (await prisma.conferenceReviewer.count({
+    where: { conferenceId: req.conference.id, userId: req.user.id },
+  })) > 0;
+
+/**
+ * Get the papers open for bidding, with the reviewer's own bid on each.
+ * Only titles, abstracts and keywords are shown; authors stay hidden.
+ * @route GET /api/reviewer/conferences/:conferenceId/bids?trackId=
+ * @route GET /api/reviewer/bids?trackId= (current conference)
+ */
+export const getBiddablePapers = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const reviewerId = req.user.id;
+  const { trackId } = req.query;
+
+  const where = biddablePapersWhere(req);
+  if (trackId) {
+    where.trackId = parseInt(trackId);
+  }
+
+  try {
+    if (!(await isInReviewerPool(req))) {
+      return res.status(403).json({
+        message: "You are not in this conference's reviewer pool.",
+      });
+    }
+
+    const papers = await prisma.paper.findMany({
+      where,
+      select: {
+        id: true,
+        title: true,
+        abstract: true,
+        keywords: true,
+        track: { select: { id: true, name: true } },
+        topics: { select: { topicArea: { select: { id: true, name: true } } } },
+        bids: { where: { reviewerId }, select: { bid: true } },
+      },
+      orderBy: { submittedAt: "asc" },
+    });
+
+    const response = papers.map(({ bids, ...paper }) => ({
+      ...paper,
+      bid: bids[0]?.bid || null,
+    }));
+
+    res.status(200).json(response);
+  } catch (error) {
+    console.error("Error fetching papers for bidding:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Bid on a paper: EAGER, WILLING, NOT_WILLING or CONFLICT. A CONFLICT bid is
+ * treated as a conflict of interest when admins assign reviewers.
+ * @route PUT /api/reviewer/conferences/:conferenceId/bids/:paperId
+ * @route PUT /api/reviewer/bids/:paperId (current conference)
+ */
+export const saveBid = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const reviewerId = req.user.id;
+  const paperId = parseInt(req.params.paperId);
+  const { bid } = req.body;
+
+  try {
+    if (!(await isInReviewerPool(req))) {
+      return res.status(403).json({
+        message: "You are not in this conference's reviewer pool.",
+      });
+    }
+
+    const paper = await prisma.paper.findFirst({
+      where: { id: paperId, ...biddablePapersWhere(req) },
+      select: { id: true },
+    });
+
+    if (!paper) {
+      return res
+        .status(404)
+        .json({ message: "Paper not found or not open for bidding" });
+    }
+
+    const savedBid = await prisma.reviewerBid.upsert({
+      where: { paperId_reviewerId: { paperId, reviewerId } },
+      create: { paperId, reviewerId, bid },
+      update: { bid },
+    });
+
+    res.status(200).json({ message: "Bid saved", bid: savedBid });
+  } catch (error) {
+    console.error("Error saving bid:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Withdraw the reviewer's bid on a paper.
+ * @route DELETE /api/reviewer/conferences/:conferenceId/bids/:paperId
+ * @route DELETE /api/reviewer/bids/:paperId (current conference)
+ */
+export const deleteBid = async (req, res) => {
+  try {
+    const { count } = await prisma.reviewerBid.deleteMany({
+      where: {
+        paperId: parseInt(req.params.paperId),
+        reviewerId: req.user.id,
+        paper: { conferenceId: req.conference.id },
+      },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ message: "Bid not found" });
+    }
+
+    res.status(200).json({ message: "Bid removed" });
+  } catch (error) {
+    console.error("Error removing bid:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * List the conflicts of interest this reviewer has declared.
+ * @route GET /api/reviewer/conflicts
+ */
+export const getMyConflicts = async (req, res) => {
+  try {
+    const conflicts = await prisma.reviewerConflict.findMany({
+      where: { reviewerId: req.user.id },
+      orderBy: { createdAt: "desc" },
+    });
+
+    res.status(200).json(conflicts);
+  } catch (error) {
+    console.error("Error fetching conflicts:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Declare a conflict of interest: a person (name or email), an institution
+ * or an email domain. Papers by matching authors are flagged when assigning.
+ * @route POST /api/reviewer/conflicts
+ */
+export const declareConflict = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { type, value, reason } = req.body;
+
+  try {
+    const existing = await prisma.reviewerConflict.findUnique({
+      where: {
+        reviewerId_type_value: { reviewerId: req.user.id, type, value },
+      },
+    });
+
+    if (existing) {
+      return res
+        .status(400)
+        .json({ message: "You have already declared this conflict" });
+    }
+
+    const conflict = await prisma.reviewerConflict.create({
+      data: { reviewerId: req.user.id, type, value, reason: reason || null },
+    });
+
+    res.status(201).json({ message: "Conflict declared", conflict });
+  } catch (error) {
+    console.error("Error declaring conflict:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Remove one of this reviewer's declared conflicts.
+ * @route DELETE /api/reviewer/conflicts/:conflictId
+ */
+export const deleteConflict = async (req, res) => {
+  const { conflictId } = req.params;
+
+  try {
+    const { count } = await prisma.reviewerConflict.deleteMany({
+      where: { id: parseInt(conflictId), reviewerId: req.user.id },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ message: "Conflict not found" });
+    }
+
+    res.status(200).json({ message: "Conflict removed" });
+  } catch (error) {
+    console.error("Error removing conflict:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
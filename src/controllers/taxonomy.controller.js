@@ -0,0 +1,323 @@
+import prisma from "../libs/prisma.js";
+import { validationResult } from "express-validator";
+
+/**
+ * Get the active tracks of a conference (for the submission form).
+ * @route GET /api/conferences/:conferenceId/tracks
+ */
+export const getPublicTracks = async (req, res) => {
+  try {
+    const tracks = await prisma.track.findMany({
+      where: { conferenceId: req.conference.id, isActive: true },
+      select: {
+        id: true,
+        name: true,
+        description: true,
+        maxPages: true,
+        isDoubleBlind: true,
+      },
+      orderBy: { name: "asc" },
+    });
+
+    res.status(200).json(tracks);
+  } catch (error) {
+    console.error("Error fetching tracks:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Get the active topic areas of a conference (for the submission form).
+ * @route GET /api/conferences/:conferenceId/topics
+ */
+export const getPublicTopics = async (req, res) => {
+  try {
+    const topics = await prisma.topicArea.findMany({
+      where: { conferenceId: req.conference.id, isActive: true },
+      select: { id: true, name: true },
+      orderBy: { name: "asc" },
+    });
+
+    res.status(200).json(topics);
+  } catch (error) {
+    console.error("Error fetching topic areas:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Get all tracks of the conference, including inactive ones.
+ * @route GET /api/admin/conferences/:conferenceId/tracks
+ * @route GET /api/admin/tracks (current conference)
+ */
+export const getTracks = async (req, res) => {
+  try {
+    const tracks = await prisma.track.findMany({
+      where: { conferenceId: req.conference.id },
+      include: { _count: { select: { papers: true } } },
+      orderBy: { name: "asc" },
+    });
+
+    res.status(200).json(tracks);
+  } catch (error) {
+    console.error("Error fetching tracks:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Create a track.
+ * @route POST /api/admin/conferences/:conferenceId/tracks
+ * @route POST /api/admin/tracks (current conference)
+ */
+export const createTrack = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, description, maxPages, isDoubleBlind } = req.body;
+
+  try {
+    const existing = await prisma.track.findUnique({
+      where: { conferenceId_name: { conferenceId: req.conference.id, name } },
+    });
+    if (existing) {
+      return res
+        .status(400)
+        .json({ message: "A track with this name already exists" });
+    }
+
+    const track = await prisma.track.create({
+      data: {
+        conferenceId: req.conference.id,
+        name,
+        description,
+        maxPages,
+        isDoubleBlind,
+      },
+    });
+
+    res.status(201).json({ message: "Track created successfully", track });
+  } catch (error) {
+    console.error("Error creating track:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Rename, describe, activate or deactivate a track, or change its
+ * submission rules (page limit, double-blind).
+ * @route PATCH /api/admin/conferences/:conferenceId/tracks/:trackId
+ * @route PATCH /api/admin/tracks/:trackId (current conference)
+ */
+export const updateTrack = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { trackId } = req.params;
+  const { name, description, isActive, maxPages, isDoubleBlind } = req.body;
+
+  try {
+    const track = await prisma.track.findFirst({
+      where: { id: parseInt(trackId), conferenceId: req.conference.id },
+    });
+
+    if (!track) {
+      return res.status(404).json({ message: "Track not found" });
+    }
+
+    if (name && name !== track.name) {
+      const existing = await prisma.track.findUnique({
+        where: { conferenceId_name: { conferenceId: req.conference.id, name } },
+      });
+      if (existing) {
+        return res
+          .status(400)
+          .json({ message: "A track with this name already exists" });
+      }
+    }
+
+    const updatedTrack = await prisma.track.update({
+      where: { id: track.id },
+      data: { name, description, isActive, maxPages, isDoubleBlind },
+    });
+
+    res
+      .status(200)
+      .json({ message: "Track updated successfully", track: updatedTrack });
+  } catch (error) {
+    console.error("Error updating track:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Delete a track. Tracks that papers were submitted to can only be deactivated.
+ * @route DELETE /api/admin/conferences/:conferenceId/tracks/:trackId
+ * @route DELETE /api/admin/tracks/:trackId (current conference)
+ */
+export const deleteTrack = async (req, res) => {
+  const { trackId } = req.params;
+
+  try {
+    const track = await prisma.track.findFirst({
+      where: { id: parseInt(trackId), conferenceId: req.conference.id },
+      include: { _count: { select: { papers: true } } },
+    });
+
+    if (!track) {
+      return res.status(404).json({ message: "Track not found" });
+    }
+
+    if (track._count.papers > 0) {
+      return res.status(409).json({
+        message: `${track._count.papers} paper(s) are in this track. Deactivate it instead.`,
+      });
+    }
+
+    await prisma.track.delete({ where: { id: track.id } });
+
+    res.status(200).json({ message: "Track deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting track:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Get all topic areas of the conference, including inactive ones.
+ * @route GET /api/admin/conferences/:conferenceId/topics
+ * @route GET /api/admin/topics (current conference)
+ */
+export const getTopics = async (req, res) => {
+  try {
+    const topics = await prisma.topicArea.findMany({
+      where: { conferenceId: req.conference.id },
+      include: { _count: { select: { papers: true } } },
+      orderBy: { name: "asc" },
+    });
+
+    res.status(200).json(topics);
+  } catch (error) {
+    console.error("Error fetching topic areas:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Create a topic area.
+ * @route POST /api/admin/conferences/:conferenceId/topics
+ * @route POST /api/admin/topics (current conference)
+ */
+export const createTopic = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name } = req.body;
+
+  try {
+    const existing = await prisma.topicArea.findUnique({
+      where: { conferenceId_name: { conferenceId: req.conference.id, name } },
+    });
+    if (existing) {
+      return res
+        .status(400)
+        .json({ message: "A topic area with this name already exists" });
+    }
+
+    const topic = await prisma.topicArea.create({
+      data: { conferenceId: req.conference.id, name },
+    });
+
+    res.status(201).json({ message: "Topic area created successfully", topic });
+  } catch (error) {
+    console.error("Error creating topic area:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Rename, activate or deactivate a topic area.
+ * @route PATCH /api/admin/conferences/:conferenceId/topics/:topicId
+ * @route PATCH /api/admin/topics/:topicId (current conference)
+ */
+export const updateTopic = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { topicId } = req.params;
+  const { name, isActive } = req.body;
+
+  try {
+    const topic = await prisma.topicArea.findFirst({
+      where: { id: parseInt(topicId), conferenceId: req.conference.id },
+    });
+
+    if (!topic) {
+      return res.status(404).json({ message: "Topic area not found" });
+    }
+
+    if (name && name !== topic.name) {
+      const existing = await prisma.topicArea.findUnique({
+        where: { conferenceId_name: { conferenceId: req.conference.id, name } },
+      });
+      if (existing) {
+        return res
+          .status(400)
+          .json({ message: "A topic area with this name already exists" });
+      }
+    }
+
+    const updatedTopic = await prisma.topicArea.update({
+      where: { id: topic.id },
+      data: { name, isActive },
+    });
+
+    res
+      .status(200)
+      .json({ message: "Topic area updated successfully", topic: updatedTopic });
+  } catch (error) {
+    console.error("Error updating topic area:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Delete a topic area. Topics that papers use can only be deactivated.
+ * @route DELETE /api/admin/conferences/:conferenceId/topics/:topicId
+ * @route DELETE /api/admin/topics/:topicId (current conference)
+ */
+export const deleteTopic = async (req, res) => {
+  const { topicId } = req.params;
+
+  try {
+    const topic = await prisma.topicArea.findFirst({
+      where: { id: parseInt(topicId), conferenceId: req.conference.id },
+      include: { _count: { select: { papers: true } } },
+    });
+
+    if (!topic) {
+      return res.status(404).json({ message: "Topic area not found" });
+    }
+
+    if (topic._count.papers > 0) {
+      return res.status(409).json({
+        message: `${topic._count.papers} paper(s) use this topic area. Deactivate it instead.`,
+      });
+    }
+
+    await prisma.topicArea.delete({ where: { id: topic.id } });
+
+    res.status(200).json({ message: "Topic area deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting topic area:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
@@ -8,12 +8,30 @@ import authRoutes from './routes/auth.routes.js';
 import adminRoutes from './routes/admin.routes.js';
 import authorRoutes from './routes/author.routes.js';
 import reviewerRoutes from './routes/reviewer.routes.js'; // The new module
+import invitationRoutes from './routes/invitation.routes.js';
+import conferenceRoutes from './routes/conference.routes.js';
+import fileRoutes from './routes/file.routes.js';
+import { startReviewReminderJob } from './jobs/reviewReminders.js';
 
 // import reviewerRoutes from './routes/reviewer.routes.js'; // Future
 
 // --- Main App Setup ---
 const app = express();
 
+// --- Proxy ---
+// Which proxies may set X-Forwarded-For, so req.ip is the real client IP
+// (used in login logs and the login throttle). TRUST_PROXY takes a hop
+// count ("1"), "true", or addresses/subnets ("loopback, 10.0.0.0/8").
+// Unset, the header is ignored and req.ip is the connecting address.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy === 'true') {
+  app.set('trust proxy', true);
+} else if (/^\d+$/.test(trustProxy || '')) {
+  app.set('trust proxy', parseInt(trustProxy));
+} else if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', trustProxy);
+}
+
 // --- Middleware ---
 // CORS setup to allow credentials (cookies)
 app.use(
@@ -33,6 +51,9 @@ app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/author', authorRoutes);
 app.use('/api/reviewer', reviewerRoutes); // Add the new reviewer routes
+app.use('/api/invitations', invitationRoutes); // Public reviewer invitation links
+app.use('/api/conferences', conferenceRoutes); // Public list of conference editions
+app.use('/api/files', fileRoutes); // Access-controlled paper downloads
 
 // --- Health Check Route ---
 app.get('/api/health', (req, res) => {
@@ -43,6 +64,11 @@ app.get('/api/health', (req, res) => {
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  // Emails reviewers about upcoming and overdue reviews (REVIEW_REMINDERS=off to disable)
+  if (process.env.REVIEW_REMINDERS !== 'off') {
+    startReviewReminderJob();
+  }
 });
 
 export default app;
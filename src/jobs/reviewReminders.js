@@ -0,0 +1,130 @@
+import prisma from '../libs/prisma.js';
+import { sendEmail } from '../utils/mail.js';
+import { formatInTimeZone } from '../utils/timezone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Days before the due date the reminder goes out
+const REMIND_DAYS_BEFORE = parseInt(process.env.REVIEW_REMINDER_DAYS_BEFORE || '3');
+// Days between reminders once a review is overdue
+const OVERDUE_REMINDER_DAYS = parseInt(process.env.REVIEW_OVERDUE_REMINDER_DAYS || '3');
+// How often the job looks for reminders to send
+const CHECK_INTERVAL_MS =
+  parseInt(process.env.REVIEW_REMINDER_CHECK_MINUTES || '60') * 60 * 1000;
+
+// Paper statuses in which reviews are still expected (and can be overdue)
+export const REVIEWABLE_STATUSES = ['PENDING_REVIEW', 'UNDER_REVIEW', 'RESUBMITTED'];
+
+/**
+ * Emails reviewers whose review is due soon (once) or overdue (every
+ * OVERDUE_REMINDER_DAYS), skipping reviews already submitted, decided or
+ * withdrawn papers, archived conferences and deactivated reviewers.
+ * @returns {Promise<number>} - How many reminders were sent.
+ */
+export const sendReviewReminders = async () => {
+  const now = new Date();
+
+  const assignments = await prisma.reviewerAssignment.findMany({
+    where: {
+      dueAt: { lte: new Date(now.getTime() + REMIND_DAYS_BEFORE * DAY_MS) },
+      reviewer: { isActive: true },
+      paper: {
+        status: { in: REVIEWABLE_STATUSES },
+        conference: { archivedAt: null },
+      },
+      OR: [
+        { dueAt: { gt: now }, reminderSentAt: null },
+        {
+          dueAt: { lte: now },
+          OR: [
+            { lastOverdueReminderAt: null },
+            {
+              lastOverdueReminderAt: {
+                lte: new Date(now.getTime() - OVERDUE_REMINDER_DAYS * DAY_MS),
+              },
+            },
+          ],
+        },
+      ],
+    },
+    include: {
+      reviewer: { select: { email: true, firstName: true } },
+      paper: {
+        select: {
+          id: true,
+          title: true,
+          reviews: { select: { reviewerId: true } },
+          conference: { select: { name: true, timezone: true } },
+        },
+      },
+    },
+  });
+
+  let sent = 0;
+  for (const assignment of assignments) {
+    const { paper, reviewer } = assignment;
+    if (paper.reviews.some((review) => review.reviewerId === assignment.reviewerId)) {
+      continue;
+    }
+
+    const overdue = assignment.dueAt <= now;
+    const dueDate = formatInTimeZone(assignment.dueAt, paper.conference.timezone);
+
+    await sendEmail({
+      to: reviewer.email,
+      subject: overdue
+        ? `[Overdue] Your review of "${paper.title}" was due ${dueDate}`
+        : `[Reminder] Your review of "${paper.title}" is due ${dueDate}`,
+      text: `
+        Hello ${reviewer.firstName},
+
+        ${
+          overdue
+            ? `Your review of "${paper.title}" (ID: ${paper.id}) for ${paper.conference.name} was due on ${dueDate} and has not been submitted yet.`
+            : `This is a reminder that your review of "${paper.title}" (ID: ${paper.id}) for ${paper.conference.name} is due on ${dueDate}.`
+        }
+
+        Please log in to your reviewer dashboard to submit it. If you need more time, please contact the organizers.
+
+        Best regards,
+        Conference Admin Team
+      `,
+    });
+
+    await prisma.reviewerAssignment.update({
+      where: { id: assignment.id },
+      data: overdue ? { lastOverdueReminderAt: now } : { reminderSentAt: now },
+    });
+    sent++;
+  }
+
+  return sent;
+};
+
+/**
+ * Runs sendReviewReminders now and then every REVIEW_REMINDER_CHECK_MINUTES.
+ * A run is skipped while the previous one is still going.
+ * @returns {NodeJS.Timeout} - The interval, for clearInterval.
+ */
+export const startReviewReminderJob = () => {
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const sent = await sendReviewReminders();
+      if (sent > 0) {
+        console.log(`Sent ${sent} review reminder(s)`);
+      }
+    } catch (error) {
+      console.error('Review reminder job failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  return setInterval(run, CHECK_INTERVAL_MS);
+};
@@ -0,0 +1,47 @@
+import { Readable } from 'stream';
+import { v2 as cloudinary } from 'cloudinary';
+
+/**
+ * Stores files in Cloudinary as "raw" resources.
+ * Env: CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET.
+ */
+export const createCloudinaryStorage = () => {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+  });
+
+  return {
+    name: 'cloudinary',
+
+    save(key, buffer) {
+      return new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream(
+          // Raw resources keep their extension as part of the public ID
+          { public_id: key, resource_type: 'raw' },
+          (error, result) => (error ? reject(error) : resolve(result.secure_url))
+        );
+        stream.end(buffer);
+      });
+    },
+
+    // e.g. https://res.cloudinary.com/<cloud>/raw/upload/v1764447840/conference_papers/paper-1764447840038.pdf
+    keyFromUrl(url) {
+      const match = /\/raw\/upload\/(?:v\d+\/)?(.+)$/.exec(url);
+      return match ? decodeURIComponent(match[1]) : null;
+    },
+
+    async read(key) {
+      const response = await fetch(cloudinary.url(key, { resource_type: 'raw', secure: true }));
+      if (!response.ok) {
+        throw new Error(`Cloudinary returned ${response.status} for ${key}`);
+      }
+      return Readable.fromWeb(response.body);
+    },
+
+    async remove(key) {
+      await cloudinary.uploader.destroy(key, { resource_type: 'raw' });
+    },
+  };
+};
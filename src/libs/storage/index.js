@@ -0,0 +1,78 @@
+import { createLocalStorage } from './local.js';
+import { createS3Storage } from './s3.js';
+import { createCloudinaryStorage } from './cloudinary.js';
+
+// Selected with STORAGE_DRIVER ("cloudinary" by default, "local" or "s3")
+const drivers = {
+  local: createLocalStorage,
+  s3: createS3Storage,
+  cloudinary: createCloudinaryStorage,
+};
+
+const driverName = (process.env.STORAGE_DRIVER || 'cloudinary').toLowerCase();
+if (!drivers[driverName]) {
+  throw new Error(
+    `Unknown STORAGE_DRIVER "${driverName}". Use one of: ${Object.keys(drivers).join(', ')}`
+  );
+}
+
+const storage = drivers[driverName]();
+
+/**
+ * Builds a unique storage key from the uploaded file's name.
+ * Unsafe characters are replaced so every driver accepts the key.
+ * @param {string} folder - e.g., "conference_papers".
+ * @param {string} originalName - The name of the uploaded file.
+ * @returns {string} - e.g., "conference_papers/my_paper-1764447840038.pdf"
+ */
+const buildFileKey = (folder, originalName) => {
+  const nameWithoutExt = originalName.split('.').slice(0, -1).join('.') || 'file';
+  const sanitizedName = nameWithoutExt.replace(/[^a-zA-Z0-9-_]/g, '_');
+  const extension = originalName.split('.').pop().toLowerCase();
+
+  return `${folder}/${sanitizedName}-${Date.now()}.${extension}`;
+};
+
+/**
+ * Stores a file with the configured driver.
+ * @param {Buffer} buffer - The file contents.
+ * @param {{ originalName: string, mimeType: string, folder?: string }} options
+ * @returns {Promise<{ key: string, url: string }>}
+ */
+export const saveFile = async (buffer, { originalName, mimeType, folder = 'conference_papers' }) => {
+  const key = buildFileKey(folder, originalName);
+  const url = await storage.save(key, buffer, mimeType);
+
+  return { key, url };
+};
+
+/**
+ * Opens a stored file for reading, by the URL saved in the database.
+ * @param {string} url
+ * @returns {Promise<import('stream').Readable | null>} - Null if the current
+ *   driver did not store this file.
+ */
+export const openFile = async (url) => {
+  const key = url ? storage.keyFromUrl(url) : null;
+  return key ? storage.read(key) : null;
+};
+
+/**
+ * Deletes a stored file by the URL saved in the database.
+ * URLs the current driver did not produce (e.g., files uploaded before a
+ * driver change) are left alone.
+ * @param {string} url
+ * @returns {Promise<boolean>} - Whether the file was deleted.
+ */
+export const deleteFile = async (url) => {
+  const key = url ? storage.keyFromUrl(url) : null;
+  if (!key) {
+    console.warn(`Not deleting ${url}: it is not stored with the "${storage.name}" driver`);
+    return false;
+  }
+
+  await storage.remove(key);
+  return true;
+};
+
+export default storage;
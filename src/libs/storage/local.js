@@ -0,0 +1,55 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+
+/**
+ * Stores files on the local disk. Meant for development and offline testing.
+ * Files are read back through the download routes, not served directly.
+ * Env: LOCAL_STORAGE_DIR (default "./uploads"),
+ *      LOCAL_STORAGE_URL (default "http://localhost:<PORT>/uploads").
+ */
+export const createLocalStorage = () => {
+  const directory = path.resolve(process.env.LOCAL_STORAGE_DIR || 'uploads');
+  const baseUrl = (
+    process.env.LOCAL_STORAGE_URL ||
+    `http://localhost:${process.env.PORT || 5000}/uploads`
+  ).replace(/\/+$/, '');
+
+  /**
+   * Resolves a key to a path, refusing anything outside the storage directory.
+   * @param {string} key
+   * @returns {string}
+   */
+  const resolveKey = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(directory + path.sep)) {
+      throw new Error(`Invalid file key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `${baseUrl}/${key}`;
+    },
+
+    keyFromUrl(url) {
+      return url.startsWith(`${baseUrl}/`) ? decodeURIComponent(url.slice(baseUrl.length + 1)) : null;
+    },
+
+    async read(key) {
+      const filePath = resolveKey(key);
+      await fs.access(filePath); // Fail here rather than mid-response
+      return createReadStream(filePath);
+    },
+
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+  };
+};
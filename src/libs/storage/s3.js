@@ -0,0 +1,70 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} from '@aws-sdk/client-s3';
+
+/**
+ * Stores files in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, ...).
+ * Env: S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+ *      S3_ENDPOINT (for non-AWS providers), S3_FORCE_PATH_STYLE ("true" for MinIO),
+ *      S3_PUBLIC_URL (base URL the objects are reachable at).
+ */
+export const createS3Storage = () => {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3 storage is not configured. Please set S3_BUCKET in .env');
+  }
+
+  const region = process.env.S3_REGION || 'us-east-1';
+  const client = new S3Client({
+    region,
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        }
+      : undefined, // Fall back to the SDK's default credential chain
+  });
+
+  const baseUrl = (
+    process.env.S3_PUBLIC_URL ||
+    (process.env.S3_ENDPOINT
+      ? `${process.env.S3_ENDPOINT}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`)
+  ).replace(/\/+$/, '');
+
+  return {
+    name: 's3',
+    client,
+    bucket,
+
+    async save(key, buffer, mimeType) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: mimeType,
+        })
+      );
+      return `${baseUrl}/${key}`;
+    },
+
+    keyFromUrl(url) {
+      return url.startsWith(`${baseUrl}/`) ? decodeURIComponent(url.slice(baseUrl.length + 1)) : null;
+    },
+
+    async read(key) {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Body; // A readable stream in Node.js
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
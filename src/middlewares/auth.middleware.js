@@ -1,10 +1,12 @@
 import prisma from '../libs/prisma.js';
 import { verifyToken } from '../utils/auth.js';
+import { isTwoFactorRequired } from '../utils/twoFactorPolicy.js';
 
 /**
  * Middleware to protect routes.
- * Checks for a valid JWT in the 'token' cookie.
- * If valid, attaches the user to req.user.
+ * Checks for a valid JWT in the 'token' cookie and that its session
+ * has not been revoked or expired.
+ * If valid, attaches the user to req.user and the session ID to req.sessionId.
  */
 export const protect = async (req, res, next) => {
   const token = req.cookies.token;
@@ -15,11 +17,26 @@ export const protect = async (req, res, next) => {
 
   const decoded = verifyToken(token);
 
-  if (!decoded) {
+  if (!decoded || !decoded.sid) {
     return res.status(401).json({ message: 'Not authorized, token failed' });
   }
 
   try {
+    // The session must still be active (sessions can be revoked remotely)
+    const session = await prisma.session.findUnique({
+      where: { id: decoded.sid },
+      select: { userId: true, activeRole: true, revokedAt: true, expiresAt: true },
+    });
+
+    if (
+      !session ||
+      session.userId !== decoded.id ||
+      session.revokedAt ||
+      session.expiresAt <= new Date()
+    ) {
+      return res.status(401).json({ message: 'Not authorized, session expired' });
+    }
+
     // Find user by ID from the token and attach it to the request
     // Exclude the password from the user object
     const user = await prisma.user.findUnique({
@@ -28,9 +45,18 @@ export const protect = async (req, res, next) => {
         id: true,
         email: true,
         firstName: true,
+        middleName: true,
         lastName: true,
-        role: true,
+        roles: true,
         affiliation: true,
+        country: true,
+        phone: true,
+        orcid: true,
+        isActive: true,
+        mustChangePassword: true,
+        emailVerifiedAt: true,
+        twoFactorEnabled: true,
+        twoFactorRequired: true,
         createdAt: true,
       },
     });
@@ -39,7 +65,43 @@ export const protect = async (req, res, next) => {
       return res.status(401).json({ message: 'Not authorized, user not found' });
     }
 
-    req.user = user;
+    if (!user.isActive) {
+      return res.status(403).json({
+        message: 'Your account has been deactivated',
+        code: 'ACCOUNT_DEACTIVATED',
+      });
+    }
+
+    // Accounts with a system-generated password may only reach the routes
+    // that opted in via allowPendingPasswordChange until the password is changed.
+    if (user.mustChangePassword && !req.allowPendingPasswordChange) {
+      return res.status(403).json({
+        message: 'You must change your password before continuing',
+        code: 'PASSWORD_CHANGE_REQUIRED',
+      });
+    }
+
+    // Likewise, users an admin requires to use 2FA (directly or through one
+    // of their roles) must enroll first.
+    user.twoFactorRequired = await isTwoFactorRequired(user);
+    if (
+      user.twoFactorRequired &&
+      !user.twoFactorEnabled &&
+      !req.allowPendingTwoFactorSetup
+    ) {
+      return res.status(403).json({
+        message: 'You must set up two-factor authentication before continuing',
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+      });
+    }
+
+    // req.user.role is the role this session currently acts in; it is
+    // dropped if an admin has since taken that role away from the user.
+    req.user = {
+      ...user,
+      role: user.roles.includes(session.activeRole) ? session.activeRole : null,
+    };
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -48,37 +110,77 @@ export const protect = async (req, res, next) => {
 };
 
 /**
- * Middleware to check if the user is an ADMIN.
- * Must be used *after* the protect middleware.
+ * Marks a route as reachable while the user still has to change a
+ * system-generated password (e.g., change-password itself, /me).
+ * Must be used *before* the protect middleware.
  */
-export const isAdmin = (req, res, next) => {
-  if (req.user && req.user.role === 'ADMIN') {
-    next();
-  } else {
-    res.status(403).json({ message: 'Not authorized, admin role required' });
-  }
+export const allowPendingPasswordChange = (req, res, next) => {
+  req.allowPendingPasswordChange = true;
+  next();
 };
 
 /**
- * Middleware to check if the user is a REVIEWER.
+ * Marks a route as reachable while the user still has to set up
+ * two-factor authentication required by an admin.
+ * Must be used *before* the protect middleware.
+ */
+export const allowPendingTwoFactorSetup = (req, res, next) => {
+  req.allowPendingTwoFactorSetup = true;
+  next();
+};
+
+/**
+ * Middleware to check that the user has verified their email address.
  * Must be used *after* the protect middleware.
  */
-export const isReviewer = (req, res, next) => {
-  if (req.user && req.user.role === 'REVIEWER') {
+export const isEmailVerified = (req, res, next) => {
+  if (req.user && req.user.emailVerifiedAt) {
     next();
   } else {
-    res.status(403).json({ message: 'Not authorized, reviewer role required' });
+    res.status(403).json({
+      message: 'Please verify your email address before continuing',
+      code: 'EMAIL_NOT_VERIFIED',
+    });
   }
 };
 
 /**
- * Middleware to check if the user is an AUTHOR.
+ * Creates a middleware that checks the session's *active* role.
+ * Users holding several roles must switch to the required one first,
+ * so each router only ever acts in a single capacity.
  * Must be used *after* the protect middleware.
+ * @param {string} role - The required role (e.g., 'ADMIN').
  */
-export const isAuthor = (req, res, next) => {
-  if (req.user && req.user.role === 'AUTHOR') {
+const requireRole = (role) => (req, res, next) => {
+  if (req.user && req.user.role === role) {
     next();
+  } else if (req.user && req.user.roles.includes(role)) {
+    res.status(403).json({
+      message: `Switch to the ${role.toLowerCase()} role to access this resource`,
+      code: 'ROLE_SWITCH_REQUIRED',
+      requiredRole: role,
+    });
   } else {
-    res.status(403).json({ message: 'Not authorized, author role required' });
+    res.status(403).json({
+      message: `Not authorized, ${role.toLowerCase()} role required`,
+    });
   }
 };
+
+/**
+ * Middleware to check if the user is acting as an ADMIN.
+ * Must be used *after* the protect middleware.
+ */
+export const isAdmin = requireRole('ADMIN');
+
+/**
+ * Middleware to check if the user is acting as a REVIEWER.
+ * Must be used *after* the protect middleware.
+ */
+export const isReviewer = requireRole('REVIEWER');
+
+/**
+ * Middleware to check if the user is acting as an AUTHOR.
+ * Must be used *after* the protect middleware.
+ */
+export const isAuthor = requireRole('AUTHOR');
@@ -0,0 +1,84 @@
+import prisma from '../libs/prisma.js';
+import { checkPhaseOpen } from '../utils/phases.js';
+
+/**
+ * Resolves the conference edition a request is scoped to and attaches it
+ * to req.conference.
+ * - With a :conferenceId route param, it is matched by numeric ID or slug.
+ * - Without one, the current edition (the newest non-archived one) is used,
+ *   so the unscoped routes keep working for the running conference.
+ */
+export const loadConference = async (req, res, next) => {
+  const { conferenceId } = req.params;
+
+  try {
+    let conference;
+    if (conferenceId) {
+      conference = await prisma.conference.findUnique({
+        where: /^\d+$/.test(conferenceId)
+          ? { id: parseInt(conferenceId) }
+          : { slug: conferenceId },
+      });
+    } else {
+      conference = await prisma.conference.findFirst({
+        where: { archivedAt: null },
+        orderBy: { createdAt: 'desc' },
+      });
+    }
+
+    if (!conference) {
+      return res.status(404).json({ message: 'Conference not found' });
+    }
+
+    req.conference = conference;
+    next();
+  } catch (error) {
+    console.error('Conference middleware error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Makes archived conference editions read-only: only GET/HEAD requests
+ * are let through.
+ * Must be used *after* the loadConference middleware.
+ */
+export const blockArchivedWrites = (req, res, next) => {
+  if (req.conference.archivedAt && !['GET', 'HEAD'].includes(req.method)) {
+    return res.status(403).json({
+      message: `${req.conference.name} has been archived and is read-only`,
+      code: 'CONFERENCE_ARCHIVED',
+    });
+  }
+  next();
+};
+
+/**
+ * Factory: only lets the request through while a phase of the conference
+ * is open (taking the paper's deadline extension into account, if the
+ * route has a paper ID param).
+ * Must be used *after* the loadConference middleware, and before any file
+ * upload so nothing is stored for rejected requests.
+ * @param {string} phase - e.g., 'SUBMISSION' or 'CAMERA_READY'.
+ * @param {string} [paperParam='paperId'] - The route param holding the paper ID.
+ */
+export const requirePhaseOpen = (phase, paperParam = 'paperId') => async (req, res, next) => {
+  const paperId = req.params[paperParam] ? parseInt(req.params[paperParam]) : undefined;
+
+  try {
+    const status = await checkPhaseOpen(req.conference, phase, paperId);
+    if (!status.open) {
+      return res.status(403).json({
+        message: status.message,
+        code: status.code,
+        phase,
+        opensAt: status.opensAt,
+        closesAt: status.closesAt,
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Phase check error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,77 @@
+import prisma from '../libs/prisma.js';
+import { inspectManuscript } from '../utils/manuscript.js';
+
+/**
+ * Reads the track and listed author names an upload is checked against.
+ * New submissions take them from the form; uploads for an existing paper
+ * (:paperId) from the paper itself.
+ * @param {import('express').Request} req
+ * @returns {Promise<{ track: object | null, authorNames: string[] }>}
+ */
+const loadSubmissionContext = async (req) => {
+  if (req.params.paperId) {
+    const paper = await prisma.paper.findFirst({
+      where: { id: parseInt(req.params.paperId), conferenceId: req.conference.id },
+      select: { track: true, authors: { select: { name: true } } },
+    });
+    return {
+      track: paper?.track || null,
+      authorNames: paper ? paper.authors.map((author) => author.name) : [],
+    };
+  }
+
+  const trackId = parseInt(req.body.trackId);
+  const track = trackId
+    ? await prisma.track.findFirst({
+        where: { id: trackId, conferenceId: req.conference.id },
+      })
+    : null;
+
+  let authorNames = [];
+  try {
+    authorNames = JSON.parse(req.body.authors || '[]').map((author) => author.name || '');
+  } catch {
+    // Malformed author lists are reported by the controller
+  }
+
+  return { track, authorNames };
+};
+
+/**
+ * Inspects the uploaded manuscript (req.file) before it is stored: the file
+ * must really be a PDF/DOC/DOCX, and PDFs must be readable, unencrypted and
+ * within the track's page limit and page size. Rejected uploads get a 400
+ * with the list of problems.
+ * Afterwards req.file.inspection holds { pageCount, warnings }.
+ * Must be used *after* upload.single(...) and *before* storeUpload.
+ * @param {{ checkAnonymity?: boolean }} [options] - Set checkAnonymity to
+ *   false for files that are expected to name their authors (camera-ready).
+ */
+export const validateManuscript = ({ checkAnonymity = true } = {}) => async (req, res, next) => {
+  if (!req.file) {
+    return next();
+  }
+
+  try {
+    const { track, authorNames } = await loadSubmissionContext(req);
+
+    const { errors, warnings, pageCount } = await inspectManuscript(req.file.buffer, {
+      maxPages: track?.maxPages,
+      authorNames: checkAnonymity && track?.isDoubleBlind ? authorNames : [],
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'The uploaded file was rejected',
+        code: 'INVALID_MANUSCRIPT',
+        problems: errors,
+      });
+    }
+
+    req.file.inspection = { pageCount, warnings };
+    next();
+  } catch (error) {
+    console.error('Manuscript validation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -1,75 +1,432 @@
 import { Router } from 'express';
-import { body } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import {
-  registerReviewer,
+  inviteReviewer,
+  getReviewerInvitations,
+  resendReviewerInvitation,
+  revokeReviewerInvitation,
   getAllPapers,
+  getDuplicatePapers,
   getPaperById,
   deletePaper,
   approvePaper,
   updatePaperStatus,
   getAllReviewers,
   assignReviewersToPaper,
-  updatePaymentStatus
+  getPaperConflicts,
+  extendReviewDeadline,
+  updatePaymentStatus,
+  revokeAllUserSessions,
+  setUserTwoFactorRequirement,
+  getTwoFactorPolicy,
+  setRoleTwoFactorRequirement,
+  resetUserTwoFactor,
+  getUsers,
+  getUserById,
+  updateUser,
+  updateUserRoles,
+  updateUserStatus,
+  deleteUser,
+  addReviewersToPool,
+  removeReviewerFromPool,
+  grantDeadlineExtension,
+  revokeDeadlineExtension
 } from '../controllers/admin.controller.js';
+import {
+  getAllConferences,
+  createConference,
+  updateConference,
+  archiveConference,
+  unarchiveConference,
+  getConferencePhases,
+  setConferencePhase,
+  deleteConferencePhase
+} from '../controllers/conference.controller.js';
+import {
+  getTracks,
+  createTrack,
+  updateTrack,
+  deleteTrack,
+  getTopics,
+  createTopic,
+  updateTopic,
+  deleteTopic
+} from '../controllers/taxonomy.controller.js';
+import { getPaperDownloads } from '../controllers/file.controller.js';
+import {
+  getReviewForm,
+  saveReviewForm,
+  deleteReviewForm,
+  getPaperRankings,
+} from '../controllers/reviewForm.controller.js';
 // UPDATED IMPORT:
 import { protect, isAdmin } from '../middlewares/auth.middleware.js';
+import { loadConference, blockArchivedWrites, requirePhaseOpen } from '../middlewares/conference.middleware.js';
+import { isValidTimeZone } from '../utils/timezone.js';
+import { PHASES } from '../utils/phases.js';
+import { CRITERION_TYPES } from '../utils/reviewForms.js';
 
 const router = Router();
 
+// Routes scoped to one conference edition. Mounted below both at
+// /conferences/:conferenceId/... and at the root (current conference).
+const conferenceRouter = Router({ mergeParams: true });
+
 // All routes in this file are protected and require an ADMIN role
 // UPDATED USAGE:
 router.use(protect, isAdmin);
 
 // --- User Management ---
 
-// POST /api/admin/register-reviewer
+// GET /api/admin/users?search=&role=&status=&page=&limit=
+router.get('/users', getUsers);
+
+// GET /api/admin/users/:id
+router.get('/users/:id', getUserById);
+
+// PATCH /api/admin/users/:id
+router.patch(
+  '/users/:id',
+  [
+    body('firstName', 'First name cannot be empty').optional().trim().not().isEmpty(),
+    body('lastName', 'Last name cannot be empty').optional().trim().not().isEmpty(),
+    body('middleName').optional({ values: 'null' }).trim(),
+    body('affiliation').optional({ values: 'null' }).trim(),
+  ],
+  updateUser
+);
+
+// PATCH /api/admin/users/:id/roles
+router.patch(
+  '/users/:id/roles',
+  [
+    body('roles', 'Roles must be a non-empty array').isArray({ min: 1 }),
+    body('roles.*', 'Invalid role').isIn(['ADMIN', 'AUTHOR', 'REVIEWER']),
+  ],
+  updateUserRoles
+);
+
+// PATCH /api/admin/users/:id/status
+router.patch(
+  '/users/:id/status',
+  [body('isActive', 'isActive must be true or false').isBoolean().toBoolean()],
+  updateUserStatus
+);
+
+// DELETE /api/admin/users/:id?transferPapersTo=&deleteReviews=
+router.delete('/users/:id', deleteUser);
+
+// DELETE /api/admin/users/:id/sessions (force logout everywhere)
+router.delete('/users/:id/sessions', revokeAllUserSessions);
+
+// PATCH /api/admin/users/:id/two-factor
+router.patch(
+  '/users/:id/two-factor',
+  [body('required', 'Required must be true or false').isBoolean().toBoolean()],
+  setUserTwoFactorRequirement
+);
+
+// DELETE /api/admin/users/:id/two-factor (lost device)
+router.delete('/users/:id/two-factor', resetUserTwoFactor);
+
+// GET /api/admin/two-factor-policy
+router.get('/two-factor-policy', getTwoFactorPolicy);
+
+// PATCH /api/admin/two-factor-policy (require 2FA for a whole role)
+router.patch(
+  '/two-factor-policy',
+  [
+    body('role', 'A valid role is required').isIn(['ADMIN', 'AUTHOR', 'REVIEWER']),
+    body('required', 'Required must be true or false').isBoolean().toBoolean(),
+  ],
+  setRoleTwoFactorRequirement
+);
+
+// --- Conference Management ---
+
+const conferenceValidation = [
+  body('name', 'Name is required').optional().trim().not().isEmpty(),
+  body('slug', 'Slug may only contain lowercase letters, digits and dashes')
+    .optional()
+    .matches(/^(?!\d+$)[a-z0-9]+(?:-[a-z0-9]+)*$/),
+  body('description').optional({ values: 'null' }).trim(),
+  body('venue').optional({ values: 'null' }).trim(),
+  body('startDate', 'Start date must be a valid date').optional({ values: 'null' }).isISO8601().toDate(),
+  body('endDate', 'End date must be a valid date').optional({ values: 'null' }).isISO8601().toDate(),
+  body('timezone', 'Time zone must be a valid IANA time zone (e.g., "Asia/Karachi")')
+    .optional()
+    .custom(isValidTimeZone),
+  body('reviewDueDays', 'reviewDueDays must be a positive number of days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .toInt(),
+];
+
+// GET /api/admin/conferences
+router.get('/conferences', getAllConferences);
+
+// POST /api/admin/conferences
 router.post(
-  '/register-reviewer',
+  '/conferences',
+  [
+    body('name', 'Name is required').exists(),
+    body('slug', 'Slug is required').exists(),
+    ...conferenceValidation,
+  ],
+  createConference
+);
+
+// PATCH /api/admin/conferences/:conferenceId
+router.patch(
+  '/conferences/:conferenceId',
+  loadConference,
+  blockArchivedWrites,
+  conferenceValidation,
+  updateConference
+);
+
+// POST /api/admin/conferences/:conferenceId/archive
+router.post('/conferences/:conferenceId/archive', loadConference, archiveConference);
+
+// POST /api/admin/conferences/:conferenceId/unarchive
+router.post('/conferences/:conferenceId/unarchive', loadConference, unarchiveConference);
+
+// --- Phases & Deadlines (per conference) ---
+
+// GET /api/admin/phases
+conferenceRouter.get('/phases', getConferencePhases);
+
+// PUT /api/admin/phases/:phase
+conferenceRouter.put(
+  '/phases/:phase',
+  [
+    param('phase', 'Invalid phase').isIn(PHASES),
+    body('opensAt', 'opensAt must be a date string or null').optional({ values: 'null' }).isString(),
+    body('closesAt', 'closesAt must be a date string or null').optional({ values: 'null' }).isString(),
+  ],
+  setConferencePhase
+);
+
+// DELETE /api/admin/phases/:phase
+conferenceRouter.delete(
+  '/phases/:phase',
+  [param('phase', 'Invalid phase').isIn(PHASES)],
+  deleteConferencePhase
+);
+
+// --- Tracks & Topic Areas (per conference) ---
+
+// GET /api/admin/tracks
+conferenceRouter.get('/tracks', getTracks);
+
+// POST /api/admin/tracks
+conferenceRouter.post(
+  '/tracks',
   [
-    body('email', 'Please include a valid email').isEmail(),
-    body('firstName', 'First name is required').not().isEmpty(),
-    body('lastName', 'Last name is required').not().isEmpty(),
+    body('name', 'Name is required').trim().not().isEmpty(),
+    body('description').optional({ values: 'null' }).trim(),
+    body('maxPages', 'maxPages must be a positive number').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('isDoubleBlind', 'isDoubleBlind must be true or false').optional().isBoolean().toBoolean(),
   ],
-  registerReviewer
+  createTrack
 );
 
+// PATCH /api/admin/tracks/:trackId
+conferenceRouter.patch(
+  '/tracks/:trackId',
+  [
+    body('name', 'Name cannot be empty').optional().trim().not().isEmpty(),
+    body('description').optional({ values: 'null' }).trim(),
+    body('isActive', 'isActive must be true or false').optional().isBoolean().toBoolean(),
+    body('maxPages', 'maxPages must be a positive number').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('isDoubleBlind', 'isDoubleBlind must be true or false').optional().isBoolean().toBoolean(),
+  ],
+  updateTrack
+);
+
+// DELETE /api/admin/tracks/:trackId
+conferenceRouter.delete('/tracks/:trackId', deleteTrack);
+
+// GET /api/admin/tracks/:trackId/review-form
+conferenceRouter.get('/tracks/:trackId/review-form', getReviewForm);
+
+// PUT /api/admin/tracks/:trackId/review-form
+conferenceRouter.put(
+  '/tracks/:trackId/review-form',
+  [
+    body('criteria', 'A review form needs at least one criterion').isArray({ min: 1 }),
+    body('criteria.*.id').optional({ values: 'null' }).isInt(),
+    body('criteria.*.label', 'Each criterion needs a label').trim().not().isEmpty(),
+    body('criteria.*.description').optional({ values: 'null' }).trim(),
+    body('criteria.*.type', `Type must be one of: ${CRITERION_TYPES.join(', ')}`).isIn(CRITERION_TYPES),
+    body('criteria.*.minScore', 'Scores must be whole numbers').optional({ values: 'null' }).isInt().toInt(),
+    body('criteria.*.maxScore', 'Scores must be whole numbers').optional({ values: 'null' }).isInt().toInt(),
+    body('criteria.*.weight', 'Weight must be a positive number').optional({ values: 'null' }).isFloat({ gt: 0 }).toFloat(),
+    body('criteria.*.required', 'required must be true or false').optional().isBoolean().toBoolean(),
+  ],
+  saveReviewForm
+);
+
+// DELETE /api/admin/tracks/:trackId/review-form
+conferenceRouter.delete('/tracks/:trackId/review-form', deleteReviewForm);
+
+// GET /api/admin/topics
+conferenceRouter.get('/topics', getTopics);
+
+// POST /api/admin/topics
+conferenceRouter.post(
+  '/topics',
+  [body('name', 'Name is required').trim().not().isEmpty()],
+  createTopic
+);
+
+// PATCH /api/admin/topics/:topicId
+conferenceRouter.patch(
+  '/topics/:topicId',
+  [
+    body('name', 'Name cannot be empty').optional().trim().not().isEmpty(),
+    body('isActive', 'isActive must be true or false').optional().isBoolean().toBoolean(),
+  ],
+  updateTopic
+);
+
+// DELETE /api/admin/topics/:topicId
+conferenceRouter.delete('/topics/:topicId', deleteTopic);
+
+// --- Reviewer Management (per conference) ---
+
+const reviewerInvitationValidation = [
+  body('email', 'Please include a valid email').isEmail(),
+  body('firstName', 'First name is required').not().isEmpty(),
+  body('lastName', 'Last name is required').not().isEmpty(),
+];
+
+// POST /api/admin/reviewer-invitations
+conferenceRouter.post('/reviewer-invitations', reviewerInvitationValidation, inviteReviewer);
+
+// POST /api/admin/register-reviewer (older clients; now sends an invitation)
+conferenceRouter.post('/register-reviewer', reviewerInvitationValidation, inviteReviewer);
+
+// GET /api/admin/reviewer-invitations?status=
+conferenceRouter.get(
+  '/reviewer-invitations',
+  [
+    query('status', 'Invalid status')
+      .optional()
+      .isIn(['PENDING', 'EXPIRED', 'ACCEPTED', 'DECLINED', 'REVOKED']),
+  ],
+  getReviewerInvitations
+);
+
+// POST /api/admin/reviewer-invitations/:id/resend
+conferenceRouter.post('/reviewer-invitations/:id/resend', resendReviewerInvitation);
+
+// DELETE /api/admin/reviewer-invitations/:id
+conferenceRouter.delete('/reviewer-invitations/:id', revokeReviewerInvitation);
+
 // GET /api/admin/reviewers
-router.get('/reviewers', getAllReviewers);
+conferenceRouter.get('/reviewers', getAllReviewers);
+
+// POST /api/admin/reviewers (add existing reviewers to the pool)
+conferenceRouter.post(
+  '/reviewers',
+  [
+    body('userIds', 'User IDs must be a non-empty array').isArray({ min: 1 }),
+    body('userIds.*', 'User IDs must be integers').isInt().toInt(),
+  ],
+  addReviewersToPool
+);
+
+// DELETE /api/admin/reviewers/:userId
+conferenceRouter.delete('/reviewers/:userId', removeReviewerFromPool);
 
 // --- Paper Management ---
 
 // GET /api/admin/papers
-router.get('/papers', getAllPapers);
+conferenceRouter.get('/papers', getAllPapers);
+
+// GET /api/admin/papers/duplicates (before /papers/:id)
+conferenceRouter.get('/papers/duplicates', getDuplicatePapers);
+
+// GET /api/admin/papers/rankings (before /papers/:id)
+conferenceRouter.get(
+  '/papers/rankings',
+  [query('trackId', 'trackId must be a number').optional().isInt()],
+  getPaperRankings
+);
 
 // GET /api/admin/papers/:id
-router.get('/papers/:id', getPaperById);
+conferenceRouter.get('/papers/:id', getPaperById);
 
 // DELETE /api/admin/papers/:id
-router.delete('/papers/:id', deletePaper);
+conferenceRouter.delete('/papers/:id', deletePaper);
+
+// GET /api/admin/papers/:id/downloads
+conferenceRouter.get('/papers/:id/downloads', getPaperDownloads);
 
 // PATCH /api/admin/papers/:id/approve
-router.patch('/papers/:id/approve', approvePaper);
+conferenceRouter.patch('/papers/:id/approve', approvePaper);
 
 // PATCH /api/admin/papers/:id/status
-router.patch(
+conferenceRouter.patch(
   '/papers/:id/status',
   [body('status', 'Status is required').not().isEmpty()],
   updatePaperStatus
 );
 
-router.patch(
+// PATCH /api/admin/papers/:id/payment-status (registration phase open)
+conferenceRouter.patch(
   '/papers/:id/payment-status',
+  requirePhaseOpen('REGISTRATION', 'id'),
   [body('paymentStatus', 'Payment status is required').isIn(['UNPAID', 'PAID', 'WAIVED'])], 
   updatePaymentStatus
 );
 
 // POST /api/admin/papers/:id/assign
-router.post(
+conferenceRouter.post(
   '/papers/:id/assign',
-  [body('reviewerIds', 'Reviewer IDs must be an array').isArray({ min: 1 })],
+  [
+    body('reviewerIds', 'Reviewer IDs must be an array').isArray({ min: 1 }),
+    body('dueAt', 'dueAt must be a date').optional({ values: 'null' }).isString(),
+    body('overrideConflicts').optional().isBoolean().toBoolean(),
+    body('conflictOverrideReason').optional({ values: 'null' }).trim(),
+  ],
   assignReviewersToPaper
 );
 
+// GET /api/admin/papers/:id/conflicts
+conferenceRouter.get('/papers/:id/conflicts', getPaperConflicts);
+
+// PATCH /api/admin/papers/:id/assignments/:reviewerId
+conferenceRouter.patch(
+  '/papers/:id/assignments/:reviewerId',
+  [body('dueAt', 'dueAt is required').isString()],
+  extendReviewDeadline
+);
+
+// POST /api/admin/papers/:id/deadline-extensions
+conferenceRouter.post(
+  '/papers/:id/deadline-extensions',
+  [
+    body('phase', 'Invalid phase').isIn(PHASES),
+    body('extendedUntil', 'extendedUntil is required').isString(),
+    body('reason').optional({ values: 'null' }).trim(),
+  ],
+  grantDeadlineExtension
+);
+
+// DELETE /api/admin/papers/:id/deadline-extensions/:phase
+conferenceRouter.delete(
+  '/papers/:id/deadline-extensions/:phase',
+  [param('phase', 'Invalid phase').isIn(PHASES)],
+  revokeDeadlineExtension
+);
+
+// e.g. GET /api/admin/conferences/icisct-2026/papers
+router.use('/conferences/:conferenceId', loadConference, blockArchivedWrites, conferenceRouter);
+
+// Unscoped paths act on the current conference (kept for existing clients)
+router.use(loadConference, blockArchivedWrites, conferenceRouter);
 
 export default router;
 
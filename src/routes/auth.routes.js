@@ -1,13 +1,33 @@
 import { Router } from 'express';
-import { body } from 'express-validator';
+import { body, param } from 'express-validator';
 import {
   registerAuthor,
   loginUser,
   logoutUser,
   getMyProfile,
-  getMe
+  getMe,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerificationEmail,
+  refreshSession,
+  getMySessions,
+  revokeMySession,
+  switchRole,
+  loginWithTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  updateMyProfile
 } from '../controllers/auth.controller.js';
-import { protect } from '../middlewares/auth.middleware.js';
+import {
+  protect,
+  allowPendingPasswordChange,
+  allowPendingTwoFactorSetup,
+} from '../middlewares/auth.middleware.js';
+import { isValidOrcid, normalizeOrcid, isValidPhone } from '../utils/validators.js';
 
 const router = Router();
 
@@ -32,16 +52,184 @@ router.post(
   loginUser
 );
 
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: verify a TOTP or backup code
+// @access  Public (requires the challenge token from /login)
+router.post(
+  '/login/2fa',
+  [
+    body('challengeToken', 'Challenge token is required').not().isEmpty(),
+    body('code').if(body('backupCode').not().exists()).not().isEmpty()
+      .withMessage('Authentication code or backup code is required'),
+  ],
+  loginWithTwoFactor
+);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+router.post(
+  '/forgot-password',
+  [body('email', 'Please include a valid email').isEmail()],
+  forgotPassword
+);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using the emailed reset token
+// @access  Public
+router.post(
+  '/reset-password',
+  [
+    body('token', 'Reset token is required').not().isEmpty(),
+    body('password', 'Password must be at least 8 characters').isLength({ min: 8 }),
+  ],
+  resetPassword
+);
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify the user's email address using the emailed token
+// @access  Public
+router.post(
+  '/verify-email',
+  [body('token', 'Verification token is required').not().isEmpty()],
+  verifyEmail
+);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Email a new verification link to the logged-in user
+// @access  Private
+router.post('/resend-verification', protect, resendVerificationEmail);
+
 // @route   POST /api/auth/logout
 // @desc    Logout a user
 // @access  Private (requires user to be logged in)
 router.post('/logout', logoutUser);
 
+// @route   POST /api/auth/refresh
+// @desc    Rotate the refresh token and issue a new access token
+// @access  Public (requires the refresh token cookie)
+router.post('/refresh', refreshSession);
+
+// @route   POST /api/auth/switch-role
+// @desc    Switch the role the current session acts in
+// @access  Private
+router.post(
+  '/switch-role',
+  protect,
+  [body('role', 'A valid role is required').isIn(['ADMIN', 'AUTHOR', 'REVIEWER'])],
+  switchRole
+);
+
+// @route   GET /api/auth/sessions
+// @desc    List the logged-in user's active sessions
+// @access  Private
+router.get('/sessions', protect, getMySessions);
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one of the logged-in user's sessions
+// @access  Private
+router.delete(
+  '/sessions/:sessionId',
+  protect,
+  [param('sessionId', 'Session ID must be a number').isInt()],
+  revokeMySession
+);
+
+// @route   POST /api/auth/change-password
+// @desc    Change the logged-in user's password
+// @access  Private (allowed while a password change is pending)
+router.post(
+  '/change-password',
+  allowPendingPasswordChange,
+  allowPendingTwoFactorSetup, // The password is changed first, then 2FA is set up
+  protect,
+  [
+    body('currentPassword', 'Current password is required').not().isEmpty(),
+    body('newPassword', 'New password must be at least 8 characters').isLength({ min: 8 }),
+  ],
+  changePassword
+);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment (returns the otpauth URI)
+// @access  Private (allowed while 2FA setup is pending)
+router.post('/2fa/setup', allowPendingTwoFactorSetup, protect, setupTwoFactor);
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm 2FA enrollment with a code (returns backup codes)
+// @access  Private (allowed while 2FA setup is pending)
+router.post(
+  '/2fa/enable',
+  allowPendingTwoFactorSetup,
+  protect,
+  [body('code', 'Authentication code is required').not().isEmpty()],
+  enableTwoFactor
+);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (password and current code required)
+// @access  Private
+router.post(
+  '/2fa/disable',
+  protect,
+  [
+    body('password', 'Password is required').not().isEmpty(),
+    body('code', 'Authentication code is required').not().isEmpty(),
+  ],
+  disableTwoFactor
+);
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace the 2FA backup codes
+// @access  Private
+router.post(
+  '/2fa/backup-codes',
+  protect,
+  [body('code', 'Authentication code is required').not().isEmpty()],
+  regenerateBackupCodes
+);
+
 // @route   GET /api/auth/me
 // @desc    Get current user's profile
-// @access  Private
-router.get('/me', protect, getMyProfile);
+// @access  Private (allowed while a password change or 2FA setup is pending)
+router.get(
+  '/me',
+  allowPendingPasswordChange,
+  allowPendingTwoFactorSetup,
+  protect,
+  getMyProfile
+);
 
 // GET /api/auth/me (To check if user is logged in)
-router.get('/me', protect, getMe);
+router.get('/me', allowPendingPasswordChange, allowPendingTwoFactorSetup, protect, getMe);
+
+// @route   PATCH /api/auth/me
+// @desc    Update the logged-in user's profile
+// @access  Private
+router.patch(
+  '/me',
+  protect,
+  [
+    body('firstName', 'First name cannot be empty').optional().trim().not().isEmpty().isLength({ max: 100 }),
+    body('middleName', 'Middle name is too long').optional({ values: 'null' }).trim().isLength({ max: 100 }),
+    body('lastName', 'Last name cannot be empty').optional().trim().not().isEmpty().isLength({ max: 100 }),
+    body('affiliation', 'Affiliation is too long').optional({ values: 'null' }).trim().isLength({ max: 255 }),
+    body('country', 'Country must be a 2-letter ISO code (e.g., PK)')
+      .optional({ values: 'null' })
+      .trim()
+      .toUpperCase()
+      .isISO31661Alpha2(),
+    body('phone', 'Please include a valid phone number')
+      .optional({ values: 'null' })
+      .custom(isValidPhone)
+      .trim(),
+    body('orcid', 'Please include a valid ORCID iD (e.g., 0000-0002-1825-0097)')
+      .optional({ values: 'null' })
+      .custom(isValidOrcid)
+      .customSanitizer(normalizeOrcid),
+    body('syncAuthors').optional().isBoolean().toBoolean(),
+  ],
+  updateMyProfile
+);
+
 export default router;
@@ -1,30 +1,42 @@
 import { Router } from 'express';
 import { body } from 'express-validator';
-import { protect, isAuthor } from '../middlewares/auth.middleware.js';
+import { protect, isAuthor, isEmailVerified } from '../middlewares/auth.middleware.js';
 import {
   submitPaper,
   getSubmittedPapers, // <-- Fix: Was 'getMySubmittedPapers'
   getAuthorPaperById, // New
+  updatePaperDetails,
   submitFeedback,     // New
   resubmitPaper,      // New
-  uploadCameraReady
+  uploadCameraReady,
+  withdrawPaper
 } from '../controllers/author.controller.js';
-import  upload  from '../utils/cloudinary.js';
+import upload, { storeUpload } from '../utils/upload.js';
+import { loadConference, blockArchivedWrites, requirePhaseOpen } from '../middlewares/conference.middleware.js';
+import { validateManuscript } from '../middlewares/manuscript.middleware.js';
 
 const router = Router();
 
+// Paper routes are scoped to a conference edition (see bottom of file)
+const conferenceRouter = Router({ mergeParams: true });
+
 // Apply 'protect' and 'isAuthor' middleware to all routes in this file
 router.use(protect, isAuthor);
 
 // @route   POST /api/author/papers/submit
 // @desc    Submit a new paper
-// @access  Private (Author only)
-router.post(
+// @access  Private (Author only, verified email, submission phase open)
+conferenceRouter.post(
   '/papers/submit',
+  isEmailVerified, // Checked before the upload so no file is stored for unverified users
+  requirePhaseOpen('SUBMISSION'),
   upload.single('paper'), // 'paper' is the field name for the file
+  validateManuscript(),
+  storeUpload,
   [
     body('title', 'Title is required').not().isEmpty(),
     body('abstract', 'Abstract is required').not().isEmpty(),
+    body('trackId', 'Track must be an ID').optional({ values: 'falsy' }).isInt(),
     // Add more validation as needed
   ],
   submitPaper
@@ -33,40 +45,85 @@ router.post(
 // @route   GET /api/author/papers
 // @desc    Get all papers for the logged-in author
 // @access  Private (Author only)
-router.get('/papers', getSubmittedPapers);
+conferenceRouter.get('/papers', getSubmittedPapers);
 
 // @route   GET /api/author/papers/:paperId
 // @desc    Get details for a single paper (to see reviews/feedback)
 // @access  Private (Author only)
-router.get('/papers/:paperId', getAuthorPaperById);
+conferenceRouter.get('/papers/:paperId', getAuthorPaperById);
+
+// @route   PATCH /api/author/papers/:paperId
+// @desc    Edit title, abstract, keywords, track/topics or the author list
+//          (only while PENDING_APPROVAL / PENDING_REVIEW)
+// @access  Private (Author only, primary submitter)
+conferenceRouter.patch(
+  '/papers/:paperId',
+  [
+    body('title', 'Title cannot be empty').optional().trim().not().isEmpty(),
+    body('abstract', 'Abstract cannot be empty').optional().trim().not().isEmpty(),
+    body('keywords').optional({ values: 'null' }).trim(),
+    body('trackId', 'Track must be an ID').optional({ values: 'null' }).isInt().toInt(),
+    body('topicIds', 'Topic IDs must be an array').optional().isArray(),
+    body('authors', 'Authors must be a non-empty array').optional().isArray({ min: 1 }),
+    body('authors.*.name', 'Every author needs a name').trim().not().isEmpty(),
+    body('authors.*.email', 'Author emails must be valid').optional({ values: 'falsy' }).isEmail(),
+    body('authors.*.salutation', 'Invalid salutation')
+      .optional({ values: 'falsy' })
+      .isIn(['Mr', 'Ms', 'Mrs', 'Dr', 'Prof', 'Mx']),
+  ],
+  updatePaperDetails
+);
 
 // @route   POST /api/author/papers/:paperId/feedback
 // @desc    Post a feedback message (part of the conversation)
 // @access  Private (Author only)
-router.post(
+conferenceRouter.post(
   '/papers/:paperId/feedback',
   [body('message', 'Message cannot be empty').not().isEmpty()],
   submitFeedback
 );
 
 // @route   POST /api/author/papers/:paperId/resubmit
-// @desc    Resubmit a paper with revisions (uploads new file)
-// @access  Private (Author only)
-router.post(
+// @desc    Resubmit a paper with revisions (uploads a new version, with an optional changeNote)
+// @access  Private (Author only, revision phase open)
+conferenceRouter.post(
   '/papers/:paperId/resubmit',
+  requirePhaseOpen('REVISION'),
   upload.single('paper'), // Use multer for the new file upload
+  validateManuscript(),
+  storeUpload,
+  [body('changeNote').optional().trim().isLength({ max: 5000 })],
   resubmitPaper
 );
 
 // --- NEW ROUTE: Upload Camera Ready Paper ---
 // @route   POST /api/author/papers/:paperId/camera-ready
-// @desc    Upload the final version after acceptance
-router.post(
+// @desc    Upload the final version after acceptance (camera-ready phase open)
+conferenceRouter.post(
   '/papers/:paperId/camera-ready',
+  requirePhaseOpen('CAMERA_READY'),
   upload.single('cameraReady'), // <--- NOTE: Field name is 'cameraReady'
+  validateManuscript({ checkAnonymity: false }), // The final version names its authors
+  storeUpload,
   uploadCameraReady
 );
 
+// @route   POST /api/author/papers/:paperId/withdraw
+// @desc    Withdraw a paper (kept for reporting, removed from review)
+// @access  Private (Author only, primary submitter)
+conferenceRouter.post(
+  '/papers/:paperId/withdraw',
+  [body('reason', 'Please give a reason for the withdrawal').trim().not().isEmpty()],
+  withdrawPaper
+);
+
+// @route   /api/author/conferences/:conferenceId/papers/...
+// @desc    The routes above, for a specific conference edition (ID or slug)
+router.use('/conferences/:conferenceId', loadConference, blockArchivedWrites, conferenceRouter);
+
+// Unscoped paths act on the current conference (kept for existing clients)
+router.use(loadConference, blockArchivedWrites, conferenceRouter);
+
 export default router;
 
 
@@ -0,0 +1,31 @@
+import { Router } from 'express';
+import {
+  getPublicConferences,
+  getPublicConference,
+} from '../controllers/conference.controller.js';
+import { getPublicTracks, getPublicTopics } from '../controllers/taxonomy.controller.js';
+import { loadConference } from '../middlewares/conference.middleware.js';
+
+const router = Router();
+
+// @route   GET /api/conferences
+// @desc    List the open (non-archived) conference editions
+// @access  Public
+router.get('/', getPublicConferences);
+
+// @route   GET /api/conferences/:conferenceId
+// @desc    Get a conference edition by ID or slug
+// @access  Public
+router.get('/:conferenceId', loadConference, getPublicConference);
+
+// @route   GET /api/conferences/:conferenceId/tracks
+// @desc    List the tracks papers can be submitted to
+// @access  Public
+router.get('/:conferenceId/tracks', loadConference, getPublicTracks);
+
+// @route   GET /api/conferences/:conferenceId/topics
+// @desc    List the topic areas papers can be tagged with
+// @access  Public
+router.get('/:conferenceId/topics', loadConference, getPublicTopics);
+
+export default router;
@@ -0,0 +1,37 @@
+import { Router } from 'express';
+import { param, query } from 'express-validator';
+import { protect } from '../middlewares/auth.middleware.js';
+import {
+  downloadPaperFile,
+  createDownloadLink,
+  downloadWithSignedLink,
+} from '../controllers/file.controller.js';
+import { PAPER_FILES } from '../utils/files.js';
+
+const router = Router();
+
+// Which file of a paper, and optionally which manuscript version
+const paperFileValidators = [
+  param('paperId', 'Paper ID must be a number').isInt({ min: 1 }),
+  param('file', `File must be one of: ${Object.keys(PAPER_FILES).join(', ')}`).isIn(
+    Object.keys(PAPER_FILES)
+  ),
+  query('version', 'Version must be a number').optional().isInt({ min: 1 }),
+];
+
+// @route   GET /api/files/signed/:token
+// @desc    Download a paper file with a short-lived signed link
+// @access  Public (signed link token)
+router.get('/signed/:token', downloadWithSignedLink);
+
+// @route   GET /api/files/papers/:paperId/:file
+// @desc    Download a paper's manuscript (?version=N for an older one) or camera-ready file
+// @access  Private (submitter, listed authors, assigned reviewers, admins)
+router.get('/papers/:paperId/:file', protect, paperFileValidators, downloadPaperFile);
+
+// @route   POST /api/files/papers/:paperId/:file/link
+// @desc    Get a short-lived signed link to a paper file
+// @access  Private (submitter, listed authors, assigned reviewers, admins)
+router.post('/papers/:paperId/:file/link', protect, paperFileValidators, createDownloadLink);
+
+export default router;
@@ -0,0 +1,36 @@
+import { Router } from 'express';
+import { body } from 'express-validator';
+import {
+  getInvitation,
+  acceptInvitation,
+  declineInvitation,
+} from '../controllers/invitation.controller.js';
+
+const router = Router();
+
+// All routes here are public: the invitation token in the URL is the credential
+
+// @route   GET /api/invitations/:token
+// @desc    Get the details of a reviewer invitation
+// @access  Public (invitation token)
+router.get('/:token', getInvitation);
+
+// @route   POST /api/invitations/:token/accept
+// @desc    Accept a reviewer invitation (new users choose a password)
+// @access  Public (invitation token)
+router.post(
+  '/:token/accept',
+  [body('password').optional().isString()],
+  acceptInvitation
+);
+
+// @route   POST /api/invitations/:token/decline
+// @desc    Decline a reviewer invitation with an optional reason
+// @access  Public (invitation token)
+router.post(
+  '/:token/decline',
+  [body('reason', 'Reason is too long').optional().trim().isLength({ max: 1000 })],
+  declineInvitation
+);
+
+export default router;
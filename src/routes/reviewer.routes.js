@@ -1,33 +1,70 @@
 import { Router } from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import { protect, isReviewer } from '../middlewares/auth.middleware.js';
 import {
   getAssignedPapers,
   getAssignedPaperById,
   submitReview,
   submitFeedback,
+  getMyConflicts,
+  declareConflict,
+  deleteConflict,
+  getBiddablePapers,
+  saveBid,
+  deleteBid,
 } from '../controllers/reviewer.controller.js';
+import { loadConference, blockArchivedWrites, requirePhaseOpen } from '../middlewares/conference.middleware.js';
+import { CONFLICT_TYPES } from '../utils/conflicts.js';
 
 const router = Router();
 
+// Paper routes are scoped to a conference edition (see bottom of file)
+const conferenceRouter = Router({ mergeParams: true });
+
 // Apply 'protect' and 'isReviewer' middleware to all routes in this file
 router.use(protect, isReviewer);
 
+// @route   GET /api/reviewer/conflicts
+// @desc    Get the conflicts of interest this reviewer declared
+// @access  Private (Reviewer only)
+router.get('/conflicts', getMyConflicts);
+
+// @route   POST /api/reviewer/conflicts
+// @desc    Declare a conflict of interest (person, institution or email domain)
+// @access  Private (Reviewer only)
+router.post(
+  '/conflicts',
+  [
+    body('type', `Type must be one of: ${CONFLICT_TYPES.join(', ')}`).isIn(CONFLICT_TYPES),
+    body('value', 'A name, email, institution or domain is required')
+      .trim()
+      .isLength({ min: 2, max: 200 }),
+    body('reason').optional({ values: 'null' }).trim().isLength({ max: 1000 }),
+  ],
+  declareConflict
+);
+
+// @route   DELETE /api/reviewer/conflicts/:conflictId
+// @desc    Remove a declared conflict of interest
+// @access  Private (Reviewer only)
+router.delete('/conflicts/:conflictId', deleteConflict);
+
 // @route   GET /api/reviewer/papers
 // @desc    Get all papers assigned to this reviewer
 // @access  Private (Reviewer only)
-router.get('/papers', getAssignedPapers);
+conferenceRouter.get('/papers', getAssignedPapers);
 
 // @route   GET /api/reviewer/papers/:paperId
 // @desc    Get a single assigned paper by ID
 // @access  Private (Reviewer only)
-router.get('/papers/:paperId', getAssignedPaperById);
+conferenceRouter.get('/papers/:paperId', getAssignedPaperById);
 
 // @route   POST /api/reviewer/papers/:paperId/review
-// @desc    Submit or update a review for a paper
-// @access  Private (Reviewer only)
-router.post(
+// @desc    Submit or update a review for a paper (confidentialComments go to the chair only)
+// @access  Private (Reviewer only, review phase open)
+conferenceRouter.post(
   '/papers/:paperId/review',
+  requirePhaseOpen('REVIEW'),
   [
     body('comments', 'Comments are required').not().isEmpty(),
     body('recommendation', 'A valid recommendation is required').isIn([
@@ -36,6 +73,14 @@ router.post(
       'MINOR_REVISION',
       'MAJOR_REVISION',
     ]),
+    body('confidentialComments', 'Confidential comments are too long')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 10000 }),
+    // Answers to the track's review form: [{ criterionId, score | text }]
+    body('answers', 'Answers must be a list').optional().isArray(),
+    body('answers.*', 'Each answer must be an object').isObject(),
+    body('answers.*.criterionId', 'Each answer needs a criterionId').isInt(),
   ],
   submitReview
 );
@@ -43,10 +88,49 @@ router.post(
 // @route   POST /api/reviewer/papers/:paperId/feedback
 // @desc    Send a feedback message (part of the conversation)
 // @access  Private (Reviewer only)
-router.post(
+conferenceRouter.post(
   '/papers/:paperId/feedback',
   [body('message', 'Message cannot be empty').not().isEmpty()],
   submitFeedback
 );
 
+// @route   GET /api/reviewer/bids
+// @desc    Get the papers open for bidding, with this reviewer's bids
+// @access  Private (Reviewer only, bidding phase open)
+conferenceRouter.get(
+  '/bids',
+  requirePhaseOpen('BIDDING'),
+  [query('trackId', 'trackId must be a number').optional().isInt()],
+  getBiddablePapers
+);
+
+// @route   PUT /api/reviewer/bids/:paperId
+// @desc    Bid on a paper (eager, willing, not willing or conflict)
+// @access  Private (Reviewer only, bidding phase open)
+conferenceRouter.put(
+  '/bids/:paperId',
+  requirePhaseOpen('BIDDING'),
+  [
+    body('bid', 'A valid bid is required').isIn([
+      'EAGER',
+      'WILLING',
+      'NOT_WILLING',
+      'CONFLICT',
+    ]),
+  ],
+  saveBid
+);
+
+// @route   DELETE /api/reviewer/bids/:paperId
+// @desc    Withdraw a bid
+// @access  Private (Reviewer only, bidding phase open)
+conferenceRouter.delete('/bids/:paperId', requirePhaseOpen('BIDDING'), deleteBid);
+
+// @route   /api/reviewer/conferences/:conferenceId/...
+// @desc    The routes above, for a specific conference edition (ID or slug)
+router.use('/conferences/:conferenceId', loadConference, blockArchivedWrites, conferenceRouter);
+
+// Unscoped paths act on the current conference (kept for existing clients)
+router.use(loadConference, blockArchivedWrites, conferenceRouter);
+
 export default router;
@@ -1,9 +1,21 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import bcrypt from 'bcrypt';
 
 // Get the JWT secret from environment variables
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-key-fallback';
-const JWT_EXPIRES_IN = '7d';
+// Access tokens are short-lived; the session is kept alive with a rotating refresh token
+const JWT_EXPIRES_IN = '15m';
+const ACCESS_TOKEN_MAX_AGE_MS = 15 * 60 * 1000; // 15 minutes
+export const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Cookie options shared by every auth cookie (must match when clearing)
+const COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: true, // MUST be true for cross-domain
+  sameSite: "none", // MUST be 'none' for cross-domain
+};
+const REFRESH_COOKIE_PATH = '/api/auth'; // Only sent to the auth endpoints
 
 /**
  * Hashes a plaintext password.
@@ -25,26 +37,93 @@ export const comparePassword = async (plainPassword, hashedPassword) => {
   return bcrypt.compare(plainPassword, hashedPassword);
 };
 
+// Role a session starts in when the user holds several (most privileged first)
+const ROLE_PRIORITY = ['ADMIN', 'REVIEWER', 'AUTHOR'];
+
 /**
- * Generates a JWT for a given user ID and role.
+ * Picks the role a new session should start in.
+ * @param {string[]} roles - All roles held by the user.
+ * @param {string} [requestedRole] - Role asked for at login, if any.
+ * @returns {string | null} - The active role, or null if the requested role is not held.
+ */
+export const getDefaultRole = (roles, requestedRole) => {
+  if (requestedRole) {
+    return roles.includes(requestedRole) ? requestedRole : null;
+  }
+  return ROLE_PRIORITY.find((role) => roles.includes(role)) || roles[0];
+};
+
+/**
+ * Generates a short-lived access JWT for a given user, role and session.
  * @param {string} userId - The user's ID.
- * @param {string} role - The user's role (e.g., 'AUTHOR', 'ADMIN').
+ * @param {string} role - The session's active role (e.g., 'AUTHOR', 'ADMIN').
+ * @param {number} sessionId - The server-side session the token belongs to.
  * @returns {string} - The generated JWT.
  */
-export const generateToken = (userId, role) => {
-  return jwt.sign({ id: userId, role }, JWT_SECRET, {
+export const generateToken = (userId, role, sessionId) => {
+  return jwt.sign({ id: userId, role, sid: sessionId }, JWT_SECRET, {
     expiresIn: JWT_EXPIRES_IN,
   });
 };
 
+/**
+ * Generates a short-lived token proving the password step of a two-factor
+ * login succeeded. It has no session and is not accepted by `protect`.
+ * @param {string} userId - The user's ID.
+ * @param {string} role - The role the session will start in.
+ * @returns {string} - The generated JWT.
+ */
+export const generateChallengeToken = (userId, role) => {
+  return jwt.sign({ id: userId, role, purpose: '2fa' }, JWT_SECRET, {
+    expiresIn: '5m',
+  });
+};
+
+/**
+ * Verifies a two-factor challenge token.
+ * @param {string} token - The challenge token from the login response.
+ * @returns {object | null} - The decoded payload if valid, null otherwise.
+ */
+export const verifyChallengeToken = (token) => {
+  const decoded = verifyToken(token);
+  return decoded && decoded.purpose === '2fa' ? decoded : null;
+};
+
+export const DOWNLOAD_LINK_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Generates a short-lived token for a signed paper download link.
+ * @param {{ userId: number, paperId: number, file: string, round?: number }} grant
+ *   - What the link gives access to, and who it was issued to.
+ * @returns {string} - The signed download token.
+ */
+export const generateDownloadToken = ({ userId, paperId, file, round }) => {
+  return jwt.sign(
+    { id: userId, paperId, file, round, purpose: 'download' },
+    JWT_SECRET,
+    { expiresIn: DOWNLOAD_LINK_TTL_MS / 1000 }
+  );
+};
+
+/**
+ * Verifies a signed download link token.
+ * @param {string} token - The token from the download link.
+ * @returns {object | null} - The decoded payload if valid, null otherwise.
+ */
+export const verifyDownloadToken = (token) => {
+  const decoded = verifyToken(token);
+  return decoded && decoded.purpose === 'download' ? decoded : null;
+};
+
 /**
  * Verifies a JWT.
  * @param {string} token - The JWT to verify.
+ * @param {import('jsonwebtoken').VerifyOptions} [options] - Extra verify options.
  * @returns {object | null} - The decoded payload if valid, null otherwise.
  */
-export const verifyToken = (token) => {
+export const verifyToken = (token, options) => {
   try {
-    return jwt.verify(token, JWT_SECRET);
+    return jwt.verify(token, JWT_SECRET, options);
   } catch (error) {
     return null;
   }
@@ -57,9 +136,51 @@ export const verifyToken = (token) => {
  */
 export const setTokenCookie = (res, token) => {
   res.cookie("token", token, {
-    httpOnly: true,
-    secure: true, // MUST be true for cross-domain
-    sameSite: "none", // MUST be 'none' for cross-domain
-    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+    ...COOKIE_OPTIONS,
+    maxAge: ACCESS_TOKEN_MAX_AGE_MS,
   });
-};
\ No newline at end of file
+};
+
+/**
+ * Sets the refresh token as an HTTP-only cookie scoped to the auth routes.
+ * @param {import('express').Response} res - The Express response object.
+ * @param {string} refreshToken - The opaque refresh token.
+ */
+export const setRefreshTokenCookie = (res, refreshToken) => {
+  res.cookie("refreshToken", refreshToken, {
+    ...COOKIE_OPTIONS,
+    path: REFRESH_COOKIE_PATH,
+    maxAge: REFRESH_TOKEN_TTL_MS,
+  });
+};
+
+/**
+ * Clears both the access and refresh token cookies.
+ * @param {import('express').Response} res - The Express response object.
+ */
+export const clearAuthCookies = (res) => {
+  res.cookie("token", "", { ...COOKIE_OPTIONS, expires: new Date(0) });
+  res.cookie("refreshToken", "", {
+    ...COOKIE_OPTIONS,
+    path: REFRESH_COOKIE_PATH,
+    expires: new Date(0),
+  });
+};
+
+/**
+ * Generates a cryptographically secure random token (for emailed links).
+ * @param {number} [bytes=32] - Number of random bytes.
+ * @returns {string} - The token as a hex string.
+ */
+export const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hashes a token with SHA-256 so it can be stored and looked up safely.
+ * @param {string} token - The plaintext token.
+ * @returns {string} - The hex-encoded hash.
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
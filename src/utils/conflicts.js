@@ -0,0 +1,187 @@
+import prisma from '../libs/prisma.js';
+
+export const CONFLICT_TYPES = ['PERSON', 'INSTITUTION', 'EMAIL_DOMAIN'];
+
+// Shared mail providers say nothing about where someone works
+const PUBLIC_EMAIL_DOMAINS = new Set([
+  'gmail.com',
+  'googlemail.com',
+  'yahoo.com',
+  'outlook.com',
+  'hotmail.com',
+  'live.com',
+  'icloud.com',
+  'me.com',
+  'aol.com',
+  'proton.me',
+  'protonmail.com',
+  'mail.ru',
+  'yandex.ru',
+  'yandex.com',
+  'qq.com',
+  '163.com',
+]);
+
+/**
+ * Lowercases, drops punctuation and collapses whitespace, so that
+ * "Tashkent Univ. of IT" and "tashkent univ of it" compare equal.
+ * @param {string | null} value
+ * @returns {string}
+ */
+const normalize = (value) =>
+  (value || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Lowercases and trims an email address.
+ * @param {string | null} email
+ * @returns {string}
+ */
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+/**
+ * The domain of an email address ("ann@cs.example.edu" -> "cs.example.edu").
+ * @param {string | null} email
+ * @returns {string}
+ */
+const emailDomain = (email) => normalizeEmail(email).split('@')[1] || '';
+
+/**
+ * Whether a domain is the given one or a subdomain of it.
+ * @param {string} domain - e.g., "cs.example.edu"
+ * @param {string} parent - e.g., "example.edu"
+ * @returns {boolean}
+ */
+const isWithinDomain = (domain, parent) =>
+  Boolean(domain && parent) && (domain === parent || domain.endsWith(`.${parent}`));
+
+/**
+ * Finds conflicts of interest between a reviewer and a paper's authors:
+ * - the reviewer is the submitter or a listed author (CO_AUTHOR, cannot be overridden),
+ * - the reviewer shares an institution or a non-public email domain with an author,
+ * - an author matches one of the reviewer's declared conflicts (DECLARED),
+ * - the reviewer bid CONFLICT on the paper (BID).
+ * @param {{ id: number, email: string, affiliation?: string | null, conflicts?: object[], bids?: { bid: string }[] }} reviewer -
+ *   With `bids` holding the reviewer's bid on this paper, if any.
+ * @param {{ authorId: number, author?: object, authors: object[] }} paper - With the
+ *   submitter (author) and the listed authors.
+ * @returns {{ type: string, detail: string, blocking: boolean }[]}
+ */
+export const detectConflicts = (reviewer, paper) => {
+  const conflicts = [];
+  const add = (type, detail, blocking = false) => {
+    if (!conflicts.some((c) => c.type === type && c.detail === detail)) {
+      conflicts.push({ type, detail, blocking });
+    }
+  };
+
+  // The submitter counts as an author, with their profile affiliation
+  const people = paper.authors.map((author) => ({
+    name: author.name,
+    email: author.email,
+    institute: author.institute,
+  }));
+  if (paper.author) {
+    people.push({
+      name: `${paper.author.firstName} ${paper.author.lastName}`,
+      email: paper.author.email,
+      institute: paper.author.affiliation,
+    });
+  }
+
+  const reviewerEmail = normalizeEmail(reviewer.email);
+  const reviewerDomain = emailDomain(reviewer.email);
+  const reviewerInstitute = normalize(reviewer.affiliation);
+
+  if (paper.authorId === reviewer.id) {
+    add('CO_AUTHOR', 'The reviewer submitted this paper', true);
+  }
+
+  if ((reviewer.bids || []).some((bid) => bid.bid === 'CONFLICT')) {
+    add('BID', 'The reviewer marked a conflict when bidding');
+  }
+
+  for (const person of people) {
+    const email = normalizeEmail(person.email);
+    const domain = emailDomain(person.email);
+    const institute = normalize(person.institute);
+
+    if (email && email === reviewerEmail) {
+      add('CO_AUTHOR', 'The reviewer is listed as an author', true);
+      continue;
+    }
+
+    if (institute && institute === reviewerInstitute) {
+      add('SAME_INSTITUTION', `${person.name} is also at ${person.institute}`);
+    }
+    if (domain && domain === reviewerDomain && !PUBLIC_EMAIL_DOMAINS.has(domain)) {
+      add('SAME_EMAIL_DOMAIN', `${person.name} also has an @${domain} address`);
+    }
+
+    for (const declared of reviewer.conflicts || []) {
+      const matches =
+        (declared.type === 'PERSON' &&
+          (normalizeEmail(declared.value) === email ||
+            normalize(declared.value) === normalize(person.name))) ||
+        (declared.type === 'INSTITUTION' &&
+          Boolean(institute) &&
+          normalize(declared.value) === institute) ||
+        (declared.type === 'EMAIL_DOMAIN' &&
+          isWithinDomain(domain, normalizeEmail(declared.value).replace(/^@/, '')));
+
+      if (matches) {
+        add(
+          'DECLARED',
+          `${person.name} matches the declared conflict "${declared.value}"` +
+            (declared.reason ? ` (${declared.reason})` : '')
+        );
+      }
+    }
+  }
+
+  return conflicts;
+};
+
+/**
+ * Loads a paper's authors and the given reviewers' declared conflicts and
+ * bids, and detects the conflicts of each reviewer.
+ * @param {number} paperId
+ * @param {number[]} reviewerIds
+ * @returns {Promise<Map<number, { reviewer: object, conflicts: object[] }>>} - By reviewer ID.
+ */
+export const findPaperConflicts = async (paperId, reviewerIds) => {
+  const [paper, reviewers] = await Promise.all([
+    prisma.paper.findUnique({
+      where: { id: paperId },
+      select: {
+        authorId: true,
+        author: {
+          select: { firstName: true, lastName: true, email: true, affiliation: true },
+        },
+        authors: { select: { name: true, email: true, institute: true } },
+      },
+    }),
+    prisma.user.findMany({
+      where: { id: { in: reviewerIds } },
+      select: {
+        id: true,
+        firstName: true,
+        lastName: true,
+        email: true,
+        affiliation: true,
+        conflicts: true,
+        bids: { where: { paperId }, select: { bid: true } },
+      },
+    }),
+  ]);
+
+  return new Map(
+    reviewers.map((reviewer) => [
+      reviewer.id,
+      { reviewer, conflicts: paper ? detectConflicts(reviewer, paper) : [] },
+    ])
+  );
+};
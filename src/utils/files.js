@@ -0,0 +1,40 @@
+// Base path of the paper download routes (see routes/file.routes.js)
+const DOWNLOAD_BASE_PATH = '/api/files/papers';
+
+// URL segment of each downloadable paper file
+export const PAPER_FILES = {
+  manuscript: 'MANUSCRIPT',
+  'camera-ready': 'CAMERA_READY',
+};
+
+/**
+ * Replaces the storage URLs of a paper (and of its versions, if included)
+ * with links to the access-controlled download routes, so raw file
+ * locations never reach the client.
+ * @param {object} paper - A paper as returned by Prisma.
+ * @returns {object} - The paper without fileUrl / cameraReadyUrl.
+ */
+export const withDownloadLinks = (paper) => {
+  if (!paper) {
+    return paper;
+  }
+
+  const { fileUrl, cameraReadyUrl, versions, ...rest } = paper;
+  const basePath = `${DOWNLOAD_BASE_PATH}/${paper.id}`;
+  const result = { ...rest };
+
+  if (fileUrl !== undefined) {
+    result.fileDownloadUrl = `${basePath}/manuscript`;
+  }
+  if (cameraReadyUrl !== undefined) {
+    result.cameraReadyDownloadUrl = cameraReadyUrl ? `${basePath}/camera-ready` : null;
+  }
+  if (versions) {
+    result.versions = versions.map(({ fileUrl: versionUrl, ...version }) => ({
+      ...version,
+      downloadUrl: `${basePath}/manuscript?version=${version.round}`,
+    }));
+  }
+
+  return result;
+};
@@ -0,0 +1,164 @@
+import prisma from '../libs/prisma.js';
+import { sendEmail } from './mail.js';
+import { getClientInfo } from './session.js';
+
+// Failed attempts allowed before delays kick in
+const FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS || '3');
+// Failed attempts (per account) before the account is temporarily locked
+const MAX_ACCOUNT_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || '10');
+const ACCOUNT_LOCK_MS =
+  parseInt(process.env.LOGIN_LOCK_MINUTES || '15') * 60 * 1000;
+// Failed attempts (per IP, any account) allowed within the window
+const MAX_IP_ATTEMPTS = parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS || '30');
+const IP_WINDOW_MS = 15 * 60 * 1000;
+const MAX_DELAY_SECONDS = 60;
+
+/**
+ * Delay (in seconds) required after the given number of consecutive failures.
+ * Doubles with every failure past the free attempts: 1s, 2s, 4s ... 60s.
+ * @param {number} failedAttempts
+ * @returns {number}
+ */
+const getDelaySeconds = (failedAttempts) => {
+  if (failedAttempts < FREE_ATTEMPTS) {
+    return 0;
+  }
+  return Math.min(2 ** (failedAttempts - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+};
+
+/**
+ * Checks whether a login attempt may proceed for this IP and account.
+ * @param {import('express').Request} req - The Express request object.
+ * @param {object | null} user - The user matching the submitted email, if any.
+ * @returns {Promise<{ allowed: boolean, retryAfterSeconds?: number, message?: string }>}
+ */
+export const checkLoginAllowed = async (req, user) => {
+  const { ipAddress } = getClientInfo(req);
+
+  const recentIpFailures = await prisma.loginLog.count({
+    where: {
+      ipAddress,
+      success: false,
+      loginAt: { gt: new Date(Date.now() - IP_WINDOW_MS) },
+    },
+  });
+
+  if (recentIpFailures >= MAX_IP_ATTEMPTS) {
+    return {
+      allowed: false,
+      retryAfterSeconds: IP_WINDOW_MS / 1000,
+      message: 'Too many failed login attempts from this network. Please try again later.',
+    };
+  }
+
+  if (!user) {
+    return { allowed: true };
+  }
+
+  const now = Date.now();
+
+  if (user.lockedUntil && user.lockedUntil.getTime() > now) {
+    return {
+      allowed: false,
+      retryAfterSeconds: Math.ceil((user.lockedUntil.getTime() - now) / 1000),
+      message: 'This account is temporarily locked due to too many failed login attempts.',
+    };
+  }
+
+  const delaySeconds = getDelaySeconds(user.failedLoginAttempts);
+  if (delaySeconds > 0 && user.lastFailedLoginAt) {
+    const nextAllowedAt = user.lastFailedLoginAt.getTime() + delaySeconds * 1000;
+    if (nextAllowedAt > now) {
+      return {
+        allowed: false,
+        retryAfterSeconds: Math.ceil((nextAllowedAt - now) / 1000),
+        message: 'Too many failed login attempts. Please wait before trying again.',
+      };
+    }
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Records a failed login attempt and locks the account once the limit is hit.
+ * The user is emailed when their account gets locked.
+ * @param {import('express').Request} req - The Express request object.
+ * @param {string} email - The email that was submitted.
+ * @param {object | null} user - The user matching the email, if any.
+ */
+export const recordFailedLogin = async (req, email, user) => {
+  const { ipAddress, userAgent } = getClientInfo(req);
+
+  try {
+    await prisma.loginLog.create({
+      data: {
+        userId: user ? user.id : null,
+        email,
+        ipAddress,
+        userAgent,
+        success: false,
+      },
+    });
+  } catch (logError) {
+    console.error('Failed to save failed login log:', logError);
+  }
+
+  if (!user) {
+    return;
+  }
+
+  const updated = await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginAttempts: { increment: 1 },
+      lastFailedLoginAt: new Date(),
+    },
+  });
+
+  if (updated.failedLoginAttempts < MAX_ACCOUNT_ATTEMPTS) {
+    return;
+  }
+
+  const lockedUntil = new Date(Date.now() + ACCOUNT_LOCK_MS);
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lockedUntil, failedLoginAttempts: 0 },
+  });
+
+  const resetUrl = `${process.env.FRONTEND_URL || 'https://icisct.com'}/forgot-password`;
+
+  sendEmail({
+    to: user.email,
+    subject: 'Your Conference Portal account has been temporarily locked',
+    text: `
+      Hello ${user.firstName},
+
+      We detected ${MAX_ACCOUNT_ATTEMPTS} failed login attempts on your account, most recently from IP address ${ipAddress}.
+      To protect your account, logins have been blocked until ${lockedUntil.toUTCString()}.
+
+      If this was you, you can wait and try again, or reset your password here:
+      ${resetUrl}
+
+      If this was not you, we recommend resetting your password.
+
+      Best regards,
+      Conference Admin Team
+    `,
+  }).catch(console.error);
+};
+
+/**
+ * Clears the failed-attempt counter after a successful login.
+ * @param {object} user - The user who logged in.
+ */
+export const recordSuccessfulLogin = async (user) => {
+  if (user.failedLoginAttempts === 0 && !user.lockedUntil) {
+    return;
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginAttempts: 0, lockedUntil: null, lastFailedLoginAt: null },
+  });
+};
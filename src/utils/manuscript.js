@@ -0,0 +1,166 @@
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+// Leading bytes of each accepted format
+const FILE_SIGNATURES = {
+  pdf: Buffer.from('%PDF-'),
+  doc: Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]), // OLE2 (Word 97-2003)
+  docx: Buffer.from([0x50, 0x4b, 0x03, 0x04]), // ZIP (Office Open XML)
+};
+
+// Largest page accepted, in points: fits both A4 and US Letter, either orientation
+const MAX_PAGE_SIZE = { short: 612, long: 842 };
+const PAGE_SIZE_TOLERANCE = 2;
+
+/**
+ * Detects the real format of a file from its leading bytes.
+ * @param {Buffer} buffer
+ * @returns {'pdf' | 'doc' | 'docx' | null}
+ */
+export const detectFileType = (buffer) => {
+  // Readers accept junk before the PDF header, within the first 1 KB
+  if (buffer.subarray(0, 1024).includes(FILE_SIGNATURES.pdf)) {
+    return 'pdf';
+  }
+  if (buffer.subarray(0, 8).equals(FILE_SIGNATURES.doc)) {
+    return 'doc';
+  }
+  if (buffer.subarray(0, 4).equals(FILE_SIGNATURES.docx)) {
+    return 'docx';
+  }
+  return null;
+};
+
+/**
+ * Lowercases and collapses whitespace, for loose name matching.
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeText = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Finds author names that reveal who wrote a paper meant for double-blind review.
+ * @param {import('pdfjs-dist').PDFDocumentProxy} pdf
+ * @param {string[]} authorNames
+ * @returns {Promise<string[]>} - Warnings.
+ */
+const findAuthorNames = async (pdf, authorNames) => {
+  const names = authorNames
+    .map((name) => ({ name: name.trim(), pattern: normalizeText(name) }))
+    .filter(({ pattern }) => pattern.length > 2);
+  if (names.length === 0) {
+    return [];
+  }
+
+  const warnings = [];
+  const { info } = await pdf.getMetadata();
+  const metadata = normalizeText(
+    ['Author', 'Title', 'Subject', 'Keywords', 'Creator']
+      .map((field) => (typeof info?.[field] === 'string' ? info[field] : ''))
+      .join(' ')
+  );
+
+  const firstPage = await pdf.getPage(1);
+  const { items } = await firstPage.getTextContent();
+  const firstPageText = normalizeText(items.map((item) => item.str || '').join(' '));
+
+  for (const { name, pattern } of names) {
+    if (metadata.includes(pattern)) {
+      warnings.push(`The author name "${name}" appears in the PDF metadata`);
+    }
+    if (firstPageText.includes(pattern)) {
+      warnings.push(`The author name "${name}" appears on the first page`);
+    }
+  }
+
+  return warnings;
+};
+
+/**
+ * Inspects the contents of an uploaded manuscript.
+ * - The leading bytes must match a PDF, DOC or DOCX file.
+ * - PDFs must open without a password, have no more than maxPages pages,
+ *   and no page larger than A4 / US Letter.
+ * - With authorNames (double-blind tracks), names found in the PDF metadata
+ *   or on the first page are reported as warnings.
+ * @param {Buffer} buffer - The uploaded file.
+ * @param {{ maxPages?: number | null, authorNames?: string[] }} [rules]
+ * @returns {Promise<{ errors: string[], warnings: string[], fileType: string | null, pageCount: number | null }>}
+ */
+export const inspectManuscript = async (buffer, { maxPages, authorNames = [] } = {}) => {
+  const errors = [];
+  const warnings = [];
+  const fileType = detectFileType(buffer);
+
+  if (!fileType) {
+    errors.push('The file is not a PDF, DOC, or DOCX document.');
+    return { errors, warnings, fileType, pageCount: null };
+  }
+
+  if (fileType !== 'pdf') {
+    if (maxPages) {
+      warnings.push('The page limit can only be checked for PDF files.');
+    }
+    return { errors, warnings, fileType, pageCount: null };
+  }
+
+  // Encrypted PDFs may still open without a password (owner password only)
+  if (buffer.includes('/Encrypt')) {
+    errors.push('Encrypted or password-protected PDFs are not accepted.');
+    return { errors, warnings, fileType, pageCount: null };
+  }
+
+  let pdf;
+  try {
+    pdf = await getDocument({
+      data: new Uint8Array(buffer),
+      isEvalSupported: false,
+      useSystemFonts: true,
+      verbosity: 0,
+    }).promise;
+  } catch (error) {
+    errors.push(
+      error.name === 'PasswordException'
+        ? 'Encrypted or password-protected PDFs are not accepted.'
+        : 'The PDF file is damaged and could not be read.'
+    );
+    return { errors, warnings, fileType, pageCount: null };
+  }
+
+  try {
+    const pageCount = pdf.numPages;
+
+    if (maxPages && pageCount > maxPages) {
+      errors.push(`The paper has ${pageCount} pages; this track allows at most ${maxPages}.`);
+    }
+
+    const oversizedPages = [];
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const [x1, y1, x2, y2] = page.view;
+      const [short, long] = [Math.abs(x2 - x1), Math.abs(y2 - y1)].sort((a, b) => a - b);
+
+      if (
+        short > MAX_PAGE_SIZE.short + PAGE_SIZE_TOLERANCE ||
+        long > MAX_PAGE_SIZE.long + PAGE_SIZE_TOLERANCE
+      ) {
+        oversizedPages.push(pageNumber);
+      }
+    }
+    if (oversizedPages.length > 0) {
+      errors.push(
+        `Page(s) ${oversizedPages.join(', ')} are larger than A4 / US Letter.`
+      );
+    }
+
+    if (authorNames.length > 0) {
+      warnings.push(...(await findAuthorNames(pdf, authorNames)));
+    }
+
+    return { errors, warnings, fileType, pageCount };
+  } catch (error) {
+    errors.push('The PDF file is damaged and could not be read.');
+    return { errors, warnings, fileType, pageCount: null };
+  } finally {
+    await pdf.destroy();
+  }
+};
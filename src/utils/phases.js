@@ -0,0 +1,69 @@
+import prisma from '../libs/prisma.js';
+import { formatInTimeZone } from './timezone.js';
+
+export const PHASES = ['SUBMISSION', 'BIDDING', 'REVIEW', 'REVISION', 'CAMERA_READY', 'REGISTRATION'];
+
+// Human-readable phase names for error messages and emails
+export const PHASE_LABELS = {
+  SUBMISSION: 'submission',
+  BIDDING: 'bidding',
+  REVIEW: 'review',
+  REVISION: 'revision',
+  CAMERA_READY: 'camera-ready',
+  REGISTRATION: 'registration',
+};
+
+/**
+ * Checks whether a phase of a conference is open right now.
+ * Phases that were never configured are open, so existing conferences keep
+ * working until an admin sets their deadlines. A per-paper extension moves
+ * the closing time for that paper only.
+ * @param {{ id: number, timezone: string }} conference
+ * @param {string} phase - One of PHASES.
+ * @param {number} [paperId] - The paper being worked on, to apply its extension.
+ * @returns {Promise<{ open: boolean, code?: string, message?: string, opensAt?: Date, closesAt?: Date }>}
+ */
+export const checkPhaseOpen = async (conference, phase, paperId) => {
+  const window = await prisma.conferencePhase.findUnique({
+    where: { conferenceId_phase: { conferenceId: conference.id, phase } },
+  });
+
+  if (!window) {
+    return { open: true };
+  }
+
+  const now = new Date();
+  const label = PHASE_LABELS[phase];
+
+  if (window.opensAt && now < window.opensAt) {
+    return {
+      open: false,
+      code: 'PHASE_NOT_OPEN',
+      message: `The ${label} phase opens on ${formatInTimeZone(window.opensAt, conference.timezone)}`,
+      opensAt: window.opensAt,
+      closesAt: window.closesAt,
+    };
+  }
+
+  let closesAt = window.closesAt;
+  if (closesAt && paperId) {
+    const extension = await prisma.paperDeadlineExtension.findUnique({
+      where: { paperId_phase: { paperId, phase } },
+    });
+    if (extension && extension.extendedUntil > closesAt) {
+      closesAt = extension.extendedUntil;
+    }
+  }
+
+  if (closesAt && now >= closesAt) {
+    return {
+      open: false,
+      code: 'PHASE_CLOSED',
+      message: `The ${label} phase closed on ${formatInTimeZone(closesAt, conference.timezone)}`,
+      opensAt: window.opensAt,
+      closesAt,
+    };
+  }
+
+  return { open: true, opensAt: window.opensAt, closesAt };
+};
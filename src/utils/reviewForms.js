@@ -0,0 +1,92 @@
+export const CRITERION_TYPES = ['SCORE', 'CONFIDENCE', 'TEXT'];
+
+// Score range used when a criterion does not set one
+export const DEFAULT_SCORE_RANGE = { minScore: 1, maxScore: 5 };
+
+/**
+ * Where a score sits in its criterion's range, from 0 (min) to 1 (max).
+ * @param {number} score
+ * @param {{ minScore: number, maxScore: number }} criterion
+ * @returns {number}
+ */
+const normalizeScore = (score, { minScore, maxScore }) =>
+  (score - minScore) / (maxScore - minScore);
+
+/**
+ * Checks a reviewer's answers against a review form and works out the
+ * review's scores.
+ * - totalScore: weighted average of the SCORE criteria, from 0 to 100.
+ * - confidence: from the first CONFIDENCE criterion, in (0, 1], so even the
+ *   least confident review still counts a little in rankings.
+ * @param {object[]} criteria - The form's ReviewCriterion rows.
+ * @param {{ criterionId: number, score?: number, text?: string }[]} [answers]
+ * @returns {{ errors: string[], answers: object[], totalScore: number | null, confidence: number | null }}
+ */
+export const scoreReviewAnswers = (criteria, answers = []) => {
+  const errors = [];
+  const rows = [];
+  const answersById = new Map(
+    answers.map((answer) => [parseInt(answer.criterionId), answer])
+  );
+
+  for (const criterionId of answersById.keys()) {
+    if (!criteria.some((criterion) => criterion.id === criterionId)) {
+      errors.push(`Criterion ${criterionId} is not part of this review form`);
+    }
+  }
+
+  let weightedScore = 0;
+  let totalWeight = 0;
+  let confidence = null;
+
+  for (const criterion of criteria) {
+    const answer = answersById.get(criterion.id);
+
+    if (criterion.type === 'TEXT') {
+      const text = typeof answer?.text === 'string' ? answer.text.trim() : '';
+      if (text) {
+        rows.push({ criterionId: criterion.id, text });
+      } else if (criterion.required) {
+        errors.push(`"${criterion.label}" is required`);
+      }
+      continue;
+    }
+
+    if (answer?.score === undefined || answer?.score === null || answer?.score === '') {
+      if (criterion.required) {
+        errors.push(`"${criterion.label}" must be scored`);
+      }
+      continue;
+    }
+
+    const score = Number(answer.score);
+    if (
+      !Number.isInteger(score) ||
+      score < criterion.minScore ||
+      score > criterion.maxScore
+    ) {
+      errors.push(
+        `"${criterion.label}" must be a whole number from ${criterion.minScore} to ${criterion.maxScore}`
+      );
+      continue;
+    }
+
+    rows.push({ criterionId: criterion.id, score });
+
+    if (criterion.type === 'SCORE') {
+      weightedScore += normalizeScore(score, criterion) * criterion.weight;
+      totalWeight += criterion.weight;
+    } else if (confidence === null) {
+      confidence =
+        (score - criterion.minScore + 1) / (criterion.maxScore - criterion.minScore + 1);
+    }
+  }
+
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    errors,
+    answers: rows,
+    totalScore: totalWeight > 0 ? round((weightedScore / totalWeight) * 100) : null,
+    confidence: confidence === null ? null : round(confidence),
+  };
+};
@@ -0,0 +1,161 @@
+import prisma from '../libs/prisma.js';
+import {
+  generateToken,
+  generateRandomToken,
+  hashToken,
+  setTokenCookie,
+  setRefreshTokenCookie,
+  REFRESH_TOKEN_TTL_MS,
+} from './auth.js';
+
+/**
+ * Extracts the client's IP address and user agent from a request.
+ * The IP comes from `req.ip`, which only reads x-forwarded-for from the
+ * proxies trusted through TRUST_PROXY (see index.js), so clients cannot
+ * spoof it to get around or trigger the login throttle.
+ * @param {import('express').Request} req - The Express request object.
+ * @returns {{ ipAddress: string, userAgent: string }}
+ */
+export const getClientInfo = (req) => {
+  const ipAddress = req.ip || 'Unknown';
+  const userAgent = req.headers['user-agent'] || 'Unknown';
+
+  return { ipAddress, userAgent };
+};
+
+/**
+ * Logs the user in: records a LoginLog entry, opens a server-side session
+ * and sets the access and refresh token cookies.
+ * @param {import('express').Request} req - The Express request object.
+ * @param {import('express').Response} res - The Express response object.
+ * @param {{ id: number }} user - The authenticated user.
+ * @param {string} activeRole - The role the session starts in (one of the user's roles).
+ * @returns {Promise<object>} - The created session.
+ */
+export const startSession = async (req, res, user, activeRole) => {
+  const { ipAddress, userAgent } = getClientInfo(req);
+
+  let loginLogId = null;
+  try {
+    const loginLog = await prisma.loginLog.create({
+      data: { userId: user.id, ipAddress, userAgent },
+    });
+    loginLogId = loginLog.id;
+  } catch (logError) {
+    // We silently catch logging errors so the user can still log in
+    // even if the log table fails for some reason.
+    console.error('Failed to save login log:', logError);
+  }
+
+  const refreshToken = generateRandomToken();
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      loginLogId,
+      refreshTokenHash: hashToken(refreshToken),
+      activeRole,
+      ipAddress,
+      userAgent,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    },
+  });
+
+  setTokenCookie(res, generateToken(user.id, activeRole, session.id));
+  setRefreshTokenCookie(res, refreshToken);
+
+  return session;
+};
+
+/**
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * Presenting an already-rotated refresh token is treated as token theft and
+ * revokes the whole session.
+ * @param {import('express').Response} res - The Express response object.
+ * @param {string} refreshToken - The refresh token from the cookie.
+ * @returns {Promise<object | null>} - The refreshed session, or null if it is not valid.
+ */
+export const rotateSession = async (res, refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash: tokenHash },
+  });
+
+  if (!session) {
+    await prisma.session.updateMany({
+      where: { previousTokenHash: tokenHash, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    return null;
+  }
+
+  if (session.revokedAt || session.expiresAt <= new Date()) {
+    return null;
+  }
+
+  const newRefreshToken = generateRandomToken();
+  const { count } = await prisma.session.updateMany({
+    // Conditional on the old hash so two concurrent refreshes cannot both win
+    where: { id: session.id, refreshTokenHash: tokenHash },
+    data: {
+      refreshTokenHash: hashToken(newRefreshToken),
+      previousTokenHash: tokenHash,
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    },
+  });
+
+  if (count !== 1) {
+    return null;
+  }
+
+  setTokenCookie(res, generateToken(session.userId, session.activeRole, session.id));
+  setRefreshTokenCookie(res, newRefreshToken);
+
+  return session;
+};
+
+/**
+ * Switches the role a session acts in and re-issues the access token.
+ * @param {import('express').Response} res - The Express response object.
+ * @param {number} userId - The user's ID.
+ * @param {number} sessionId - The caller's session.
+ * @param {string} role - The new active role (must be held by the user).
+ */
+export const switchSessionRole = async (res, userId, sessionId, role) => {
+  await prisma.session.update({
+    where: { id: sessionId },
+    data: { activeRole: role },
+  });
+
+  setTokenCookie(res, generateToken(userId, role, sessionId));
+};
+
+/**
+ * Revokes a single session.
+ * @param {number} sessionId - The session's ID.
+ */
+export const revokeSession = async (sessionId) => {
+  await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+};
+
+/**
+ * Revokes every active session of a user.
+ * @param {number} userId - The user's ID.
+ * @param {number} [exceptSessionId] - A session to keep (e.g., the caller's own).
+ * @returns {Promise<number>} - Number of sessions revoked.
+ */
+export const revokeUserSessions = async (userId, exceptSessionId) => {
+  const { count } = await prisma.session.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId ? { id: { not: exceptSessionId } } : {}),
+    },
+    data: { revokedAt: new Date() },
+  });
+
+  return count;
+};
@@ -0,0 +1,170 @@
+import prisma from '../libs/prisma.js';
+
+// Pairs scoring at least this much (0-1) are flagged as possible duplicates
+export const SIMILARITY_THRESHOLD = parseFloat(process.env.SIMILARITY_THRESHOLD || '0.6');
+
+// How much each field counts towards the overall score
+const FIELD_WEIGHTS = { title: 0.4, abstract: 0.45, keywords: 0.15 };
+
+// Common words that say nothing about what a paper is about
+const STOP_WORDS = new Set(
+  (
+    'a an and are as at be by for from has have in into is it its of on or ' +
+    'our that the their this to using was we were which with based via paper ' +
+    'propose proposed approach study results method'
+  ).split(' ')
+);
+
+/**
+ * Splits text into lowercase content words.
+ * @param {string | null} text
+ * @returns {string[]}
+ */
+const tokenize = (text) =>
+  (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word));
+
+/**
+ * Splits a keyword list ("AI; Deep learning, NLP") into normalized phrases.
+ * @param {string | null} keywords
+ * @returns {string[]}
+ */
+const splitKeywords = (keywords) =>
+  (keywords || '')
+    .split(/[,;\n]+/)
+    .map((keyword) => tokenize(keyword).join(' '))
+    .filter(Boolean);
+
+/**
+ * Share of distinct items two lists have in common (Jaccard index).
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {number | null} - Null if either list is empty.
+ */
+const jaccard = (a, b) => {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  if (setA.size === 0 || setB.size === 0) {
+    return null;
+  }
+
+  let shared = 0;
+  for (const item of setA) {
+    if (setB.has(item)) shared++;
+  }
+  return shared / (setA.size + setB.size - shared);
+};
+
+/**
+ * Cosine similarity of two word-frequency vectors; suits longer texts,
+ * where repeated words matter.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {number | null} - Null if either text is empty.
+ */
+const cosine = (a, b) => {
+  if (a.length === 0 || b.length === 0) {
+    return null;
+  }
+
+  const countWords = (words) =>
+    words.reduce((counts, word) => counts.set(word, (counts.get(word) || 0) + 1), new Map());
+  const countsA = countWords(a);
+  const countsB = countWords(b);
+
+  let dot = 0;
+  for (const [word, count] of countsA) {
+    dot += count * (countsB.get(word) || 0);
+  }
+  const norm = (counts) => Math.sqrt([...counts.values()].reduce((sum, n) => sum + n * n, 0));
+
+  return dot / (norm(countsA) * norm(countsB));
+};
+
+/**
+ * Prepares a paper's text for comparison.
+ * @param {{ title: string, abstract: string, keywords?: string | null }} paper
+ */
+const profilePaper = (paper) => ({
+  title: tokenize(paper.title),
+  abstract: tokenize(paper.abstract),
+  keywords: splitKeywords(paper.keywords),
+});
+
+/**
+ * Scores how alike two papers are, from 0 (unrelated) to 1 (identical).
+ * Fields missing on either side are left out of the weighting.
+ * @param {ReturnType<typeof profilePaper>} a
+ * @param {ReturnType<typeof profilePaper>} b
+ * @returns {{ score: number, titleScore: number | null, abstractScore: number | null, keywordsScore: number | null }}
+ */
+const comparePapers = (a, b) => {
+  const fieldScores = {
+    title: jaccard(a.title, b.title),
+    abstract: cosine(a.abstract, b.abstract),
+    keywords: jaccard(a.keywords, b.keywords),
+  };
+
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [field, fieldScore] of Object.entries(fieldScores)) {
+    if (fieldScore !== null) {
+      weighted += fieldScore * FIELD_WEIGHTS[field];
+      totalWeight += FIELD_WEIGHTS[field];
+    }
+  }
+
+  const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+  return {
+    score: round(totalWeight ? weighted / totalWeight : 0),
+    titleScore: round(fieldScores.title),
+    abstractScore: round(fieldScores.abstract),
+    keywordsScore: round(fieldScores.keywords),
+  };
+};
+
+/**
+ * Compares a paper with every other paper (in any conference edition, except
+ * withdrawn ones) and records the likely duplicates as PaperSimilarity rows,
+ * replacing the ones found earlier for this paper (its text may have changed).
+ * Each pair is stored with the newer paper as `paperId`.
+ *
+ * Only the compared fields are loaded, but that is still every abstract in
+ * the database on each call. That is fine at conference scale; with many
+ * thousands of papers this should move to a search index.
+ * @param {{ id: number, title: string, abstract: string, keywords?: string | null }} paper
+ * @returns {Promise<number>} - How many likely duplicates were found.
+ */
+export const flagSimilarPapers = async (paper) => {
+  const profile = profilePaper(paper);
+
+  const candidates = await prisma.paper.findMany({
+    where: { id: { not: paper.id }, status: { not: 'WITHDRAWN' } },
+    select: { id: true, title: true, abstract: true, keywords: true },
+  });
+
+  const matches = candidates
+    .map((candidate) => ({
+      otherId: candidate.id,
+      ...comparePapers(profile, profilePaper(candidate)),
+    }))
+    .filter((match) => match.score >= SIMILARITY_THRESHOLD);
+
+  await prisma.$transaction([
+    prisma.paperSimilarity.deleteMany({
+      where: { OR: [{ paperId: paper.id }, { similarPaperId: paper.id }] },
+    }),
+    prisma.paperSimilarity.createMany({
+      data: matches.map(({ otherId, ...scores }) => ({
+        paperId: Math.max(paper.id, otherId),
+        similarPaperId: Math.min(paper.id, otherId),
+        ...scores,
+      })),
+      skipDuplicates: true,
+    }),
+  ]);
+
+  return matches.length;
+};
@@ -0,0 +1,91 @@
+/**
+ * Checks that a string is an IANA time zone known to the runtime
+ * (e.g., "Asia/Karachi", "UTC").
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Offset of a time zone from UTC at a given instant, in milliseconds.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number}
+ */
+const getTimeZoneOffsetMs = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const value = Object.fromEntries(parts.map((part) => [part.type, Number(part.value)]));
+
+  const wallClockAsUtc = Date.UTC(
+    value.year,
+    value.month - 1,
+    value.day,
+    value.hour,
+    value.minute,
+    value.second
+  );
+  return wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Parses a date-time in a time zone.
+ * - Values with an explicit offset ("...Z", "...+05:00") are taken as-is.
+ * - Wall-clock values ("2026-03-01T23:59", "2026-03-01") are read as local
+ *   time in the given zone; a bare date means midnight.
+ * @param {string} value
+ * @param {string} timeZone - IANA time zone.
+ * @returns {Date | null} - Null if the value cannot be parsed.
+ */
+export const parseInTimeZone = (value, timeZone) => {
+  const input = String(value).trim();
+
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(input)) {
+    const date = new Date(input);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(input);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Second pass corrects the offset when the first guess lands across a DST change
+  let utc = wallClock - getTimeZoneOffsetMs(new Date(wallClock), timeZone);
+  utc = wallClock - getTimeZoneOffsetMs(new Date(utc), timeZone);
+
+  return new Date(utc);
+};
+
+/**
+ * Formats a date for messages and emails, in a time zone.
+ * @param {Date} date
+ * @param {string} timeZone - IANA time zone.
+ * @returns {string} - e.g., "1 Mar 2026, 23:59 (Asia/Karachi)"
+ */
+export const formatInTimeZone = (date, timeZone) => {
+  const formatted = new Date(date).toLocaleString('en-GB', {
+    timeZone,
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  });
+  return `${formatted} (${timeZone})`;
+};
@@ -0,0 +1,59 @@
+import prisma from '../libs/prisma.js';
+import { generateRandomToken, hashToken } from './auth.js';
+
+/**
+ * Creates a new single-use token for a user.
+ * Any previous unused tokens with the same purpose are invalidated,
+ * so only the most recently emailed link works.
+ * @param {number} userId - The user's ID.
+ * @param {string} purpose - A TokenPurpose value (e.g., 'PASSWORD_RESET').
+ * @param {number} ttlMs - How long the token stays valid, in milliseconds.
+ * @returns {Promise<string>} - The plaintext token (to be emailed, never stored).
+ */
+export const issueUserToken = async (userId, purpose, ttlMs) => {
+  const token = generateRandomToken();
+
+  await prisma.$transaction([
+    prisma.userToken.updateMany({
+      where: { userId, purpose, usedAt: null },
+      data: { usedAt: new Date() },
+    }),
+    prisma.userToken.create({
+      data: {
+        userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs),
+      },
+    }),
+  ]);
+
+  return token;
+};
+
+/**
+ * Marks a token as used if it is valid for the given purpose.
+ * The update is conditional, so a token can only ever be consumed once.
+ * @param {string} token - The plaintext token from the emailed link.
+ * @param {string} purpose - The expected TokenPurpose.
+ * @returns {Promise<number | null>} - The owning user's ID, or null if invalid/expired/used.
+ */
+export const consumeUserToken = async (token, purpose) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const tokenHash = hashToken(token);
+  const record = await prisma.userToken.findUnique({ where: { tokenHash } });
+
+  if (!record || record.purpose !== purpose) {
+    return null;
+  }
+
+  const { count } = await prisma.userToken.updateMany({
+    where: { id: record.id, usedAt: null, expiresAt: { gt: new Date() } },
+    data: { usedAt: new Date() },
+  });
+
+  return count === 1 ? record.userId : null;
+};
@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+
+// RFC 6238 defaults, understood by every authenticator app
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encodes a buffer as RFC 4648 base32 (no padding).
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decodes an RFC 4648 base32 string (padding and case are ignored).
+ * @param {string} input
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Computes the HOTP code for a counter value (RFC 4226).
+ * @param {Buffer} key
+ * @param {number} counter
+ * @returns {string}
+ */
+const hotp = (key, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return code.toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Generates a new random TOTP secret.
+ * @returns {string} - The base32-encoded secret.
+ */
+export const generateTotpSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Builds the otpauth:// URI that authenticator apps read from a QR code.
+ * @param {string} secret - The base32 secret.
+ * @param {string} accountName - Usually the user's email.
+ * @returns {string}
+ */
+export const buildOtpauthUri = (secret, accountName) => {
+  const issuer = process.env.TOTP_ISSUER || 'Conference Portal';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Finds the time step a TOTP code belongs to, allowing one step of clock
+ * drift either way. Callers that accept the code should record the step so
+ * the same code cannot be used twice.
+ * @param {string} secret - The base32 secret.
+ * @param {string} code - The code typed by the user.
+ * @returns {number | null} - The matching time step, or null if the code is wrong.
+ */
+export const matchTotpStep = (secret, code) => {
+  if (!secret || !/^\d{6}$/.test(String(code || '').trim())) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const counter = Math.floor(Date.now() / 1000 / PERIOD_SECONDS);
+  const expected = Buffer.from(String(code).trim());
+
+  for (const drift of [-1, 0, 1]) {
+    const candidate = Buffer.from(hotp(key, counter + drift));
+    if (crypto.timingSafeEqual(candidate, expected)) {
+      return counter + drift;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Generates a set of one-time backup codes (e.g., "a1b2-c3d4").
+ * @param {number} [count=10]
+ * @returns {string[]}
+ */
+export const generateBackupCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+};
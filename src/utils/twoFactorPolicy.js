@@ -0,0 +1,18 @@
+import prisma from '../libs/prisma.js';
+
+/**
+ * Whether a user must use two-factor authentication: an admin required it
+ * for them, or for one of their roles (see TwoFactorPolicy).
+ * @param {{ roles: string[], twoFactorRequired: boolean }} user
+ * @returns {Promise<boolean>}
+ */
+export const isTwoFactorRequired = async (user) => {
+  if (user.twoFactorRequired) {
+    return true;
+  }
+
+  const policies = await prisma.twoFactorPolicy.count({
+    where: { role: { in: user.roles } },
+  });
+  return policies > 0;
+};
@@ -0,0 +1,46 @@
+import multer from 'multer';
+import { saveFile } from '../libs/storage/index.js';
+
+// Files are kept in memory by multer and handed to the configured
+// storage driver (see src/libs/storage) by the storeUpload middleware.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (!file.mimetype.match(/pdf|doc|docx|application\/pdf|application\/msword|application\/vnd\.openxmlformats-officedocument\.wordprocessingml\.document/)) {
+      cb(new Error('File format not supported. Please upload a PDF, DOC, or DOCX.'), false);
+      return;
+    }
+    cb(null, true);
+  },
+  limits: {
+    fileSize: 1024 * 1024 * 20 // 20MB file size limit
+  }
+});
+
+/**
+ * Saves the file multer parsed (req.file) with the storage driver.
+ * Afterwards req.file.path is the file's URL and req.file.filename its
+ * storage key. Requests without a file pass through untouched.
+ * Must be used *after* upload.single(...).
+ */
+export const storeUpload = async (req, res, next) => {
+  if (!req.file) {
+    return next();
+  }
+
+  try {
+    const { key, url } = await saveFile(req.file.buffer, {
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+    });
+
+    req.file.path = url;
+    req.file.filename = key;
+    next();
+  } catch (error) {
+    console.error('File storage error:', error);
+    res.status(500).json({ message: 'Could not store the uploaded file' });
+  }
+};
+
+export default upload;
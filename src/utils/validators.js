@@ -0,0 +1,47 @@
+/**
+ * Normalizes an ORCID iD to the bare "0000-0000-0000-000X" form.
+ * Accepts the full URL form (https://orcid.org/...) as well.
+ * @param {string} value
+ * @returns {string}
+ */
+export const normalizeOrcid = (value) => {
+  return String(value)
+    .trim()
+    .replace(/^https?:\/\/(www\.)?orcid\.org\//i, '')
+    .toUpperCase();
+};
+
+/**
+ * Checks an ORCID iD's format and its ISO 7064 11,2 check digit.
+ * @param {string} value - The ORCID iD (bare or URL form).
+ * @returns {boolean}
+ */
+export const isValidOrcid = (value) => {
+  const orcid = normalizeOrcid(value);
+  if (!/^\d{4}-\d{4}-\d{4}-\d{3}[\dX]$/.test(orcid)) {
+    return false;
+  }
+
+  const digits = orcid.replace(/-/g, '');
+  let total = 0;
+  for (const char of digits.slice(0, -1)) {
+    total = (total + parseInt(char)) * 2;
+  }
+  const result = (12 - (total % 11)) % 11;
+  const checkDigit = result === 10 ? 'X' : String(result);
+
+  return digits.slice(-1) === checkDigit;
+};
+
+/**
+ * Loose international phone number check: optional leading "+", then
+ * digits, spaces, dashes, dots or parentheses, with 7-15 digits in all
+ * (E.164 allows at most 15).
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isValidPhone = (value) => {
+  const phone = String(value).trim();
+  const digitCount = phone.replace(/\D/g, '').length;
+  return /^\+?[\d\s\-().]+$/.test(phone) && digitCount >= 7 && digitCount <= 15;
+};